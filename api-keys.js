@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+// Manage API keys in the file given by API_KEYS_FILE, see lib/api-keys.js
+//
+//   node api-keys.js add <label> [--quota <requests>] [--origin <origin>]...
+//   node api-keys.js list
+//   node api-keys.js remove <id>
+//
+// The running server picks up changes within a few seconds.
+
+require("dotenv").config({ quiet: true });
+const { loadConfig } = require("./lib/config");
+const { generateKey, readKeyFile, writeKeyFile } = require("./lib/api-keys");
+
+// requests per rate limit window for new keys, 20 times the anonymous limit
+const DEFAULT_QUOTA = 1000;
+
+const usage = () => {
+  console.error(`Usage:
+  node api-keys.js add <label> [--quota <requests>] [--origin <origin>]...
+  node api-keys.js list
+  node api-keys.js remove <id>`);
+  process.exit(1);
+};
+
+const fail = (message) => {
+  console.error(`Error: ${message}`);
+  process.exit(1);
+};
+
+let file;
+try {
+  file = loadConfig().apiKeys.file;
+} catch (err) {
+  fail(err.message);
+}
+if (!file) fail("API_KEYS_FILE is not set.");
+
+const [command, ...args] = process.argv.slice(2);
+
+let keys;
+try {
+  keys = readKeyFile(file);
+} catch (err) {
+  fail(`could not read ${file}: ${err.message}`);
+}
+
+if (command === "add") {
+  let label = null;
+  let quota = DEFAULT_QUOTA;
+  const origins = [];
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === "--quota") {
+      quota = Number(args[++i]);
+      if (!Number.isInteger(quota) || quota < 1) {
+        fail("--quota must be a positive integer.");
+      }
+    } else if (args[i] === "--origin") {
+      if (!args[i + 1]) usage();
+      origins.push(args[++i]);
+    } else if (label === null && !args[i].startsWith("--")) {
+      label = args[i];
+    } else {
+      usage();
+    }
+  }
+  if (!label) usage();
+
+  const { key, record } = generateKey({ label, quota, origins });
+  writeKeyFile(file, [...keys, record]);
+  console.log(
+    `Added key ${record.id} "${label}", ${quota} requests per window`
+  );
+  console.log(`\n  ${key}\n`);
+  console.log("Keep it safe, it is not stored and can't be shown again.");
+} else if (command === "list") {
+  if (keys.length === 0) console.log(`No keys in ${file}`);
+  for (const { id, label, quota, origins, created } of keys) {
+    console.log(
+      [id, label, `quota ${quota}`, origins.join(",") || "-", created].join(
+        "\t"
+      )
+    );
+  }
+} else if (command === "remove") {
+  const [id] = args;
+  if (!id || args.length > 1) usage();
+  const remaining = keys.filter((record) => record.id !== id);
+  if (remaining.length === keys.length) fail(`no key with id ${id}.`);
+  writeKeyFile(file, remaining);
+  console.log(`Removed key ${id}`);
+} else {
+  usage();
+}
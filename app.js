@@ -1,144 +1,124 @@
-require("dotenv").config();
-const express = require("express");
-const rateLimit = require("express-rate-limit");
-const cors = require("cors");
-const path = require("path");
-const helmet = require("helmet");
-const morgan = require("morgan");
-
-const app = express();
-
-// Global rate limiter middleware
-const globalLimiter = rateLimit({
-  windowMs: 60 * 1000, // 1 minute
-  max: 500, // Allow 500 requests per minute globally
-  message: {
-    error: "Too Many Requests",
-    message:
-      "The server is receiving too many requests. Please try again later.",
-  },
-});
-
-// Per-IP rate limiter middleware
-const perIpLimiter = rateLimit({
-  windowMs: 60 * 1000, // 1 minute
-  max: 50, // Allow 50 requests per minute per IP
-  message: {
-    error: "Too Many Requests",
-    message: "You have exceeded the request limit. Please try again later.",
-  },
-});
-
-// CORS middleware to allow only specific domains to access the time server
-const allowedOrigins = (process.env.ALLOWED_ORIGINS || "").split(",");
-
-if (
-  allowedOrigins.length === 0 ||
-  (allowedOrigins.length === 1 && allowedOrigins[0] === "")
-) {
-  console.warn(
-    "Warning: No allowed origins specified for CORS. All origins will be blocked."
-  );
+require("dotenv").config({ quiet: true });
+const ntp = require("./lib/ntp");
+const { loadConfig } = require("./lib/config");
+const { createApp } = require("./lib/create-app");
+const { createNtpServer, configuredStatus } = require("./lib/ntp-server");
+const { createLegacyTimeServer } = require("./lib/legacy-time");
+const { createLogger, createLoggers, closeLoggers } = require("./lib/logger");
+
+// Settings from the environment and CONFIG_FILE, see lib/config.js, logged to
+// stderr until we know where the logs go
+let config;
+let log = { app: createLogger() };
+let app;
+try {
+  config = loadConfig();
+  log = createLoggers(config.logging);
+  app = createApp(config, { log });
+} catch (err) {
+  log.app.error(err.message);
+  closeLoggers(log, () => process.exit(1));
+  return;
 }
 
-app.use(
-  cors({
-    origin: function (origin, callback) {
-      // Allow requests with no origin (like mobile apps, curl, etc.)
-      if (!origin) return callback(null, true);
-      if (allowedOrigins.includes(origin)) {
-        return callback(null, true);
-      } else {
-        return callback(null, false); // Let the error handler handle the response
-      }
-    },
-  })
-);
+const { upstreamMonitor, leapSeconds, roughtime } = app.locals.realclock;
 
-// Custom error handler for CORS failures
-app.use((err, req, res, next) => {
-  if (err.message === "Not allowed by CORS") {
-    res.status(403).json({
-      error: "CORS Error",
-      message: "The origin is not allowed to access this resource.",
-    });
-  } else {
-    next(err); // Pass other errors to the default error handler
-  }
-});
-
-// Serve static files from the realclock directory
-const staticPath = path.join(__dirname, "./public");
-app.use(express.static(staticPath));
+if (roughtime) {
+  log.app.info("Roughtime public key", { publicKey: roughtime.publicKey });
+}
 
-// Apply global rate limiter to all routes
-app.use(globalLimiter);
+// Graceful shutdown, optional listeners add themselves to closeOnShutdown,
+// the logs are flushed last
+const closeOnShutdown = [app.locals.realclock.close];
 
-// Apply per-IP rate limiter only to the /api/time endpoint
-app.get("/api/time", perIpLimiter, (req, res) => {
-  const now = new Date();
-  const milliseconds = now.getTime();
-  const datetime = now.toISOString();
-  res.json({ milliseconds, datetime });
-});
+const exit = () => closeLoggers(log, () => process.exit(0));
 
-// Enhanced 404 handler for API and non-API routes
-app.use((req, res) => {
-  if (req.path.startsWith("/api/")) {
-    res.status(404).json({
-      error: "Not Found",
-      message: "The requested API endpoint could not be found.",
+const shutdown = () => {
+  log.app.info("Shutting down server");
+  let pending = closeOnShutdown.length;
+  for (const close of closeOnShutdown) {
+    close(() => {
+      if (--pending === 0) exit();
     });
-  } else {
-    res.status(404).send(
-      `<!DOCTYPE html>
-      <html lang="en">
-      <head>
-        <meta charset="UTF-8">
-        <meta name="viewport" content="width=device-width, initial-scale=1.0">
-        <title>404 Not Found</title>
-      </head>
-      <body>
-        <h1>404 Not Found</h1>
-        <p>The page you are looking for does not exist.</p>
-      </body>
-      </html>`
-    );
   }
-});
 
-// Use Helmet for security
-app.use(helmet());
+  // don't wait forever for listeners that won't close
+  setTimeout(exit, 5000).unref();
+};
 
-// Use Morgan for logging
-app.use(morgan("combined"));
+process.on("SIGINT", shutdown);
+process.on("SIGTERM", shutdown);
 
-// Validate required environment variables
-if (!process.env.PORT) {
-  console.error("Error: PORT environment variable is not set.");
-  process.exit(1);
+// Start the server, with the WebSocket endpoint on the same port
+const server = app.listen(config.port, () => {
+  log.app.info("Server running", { port: config.port });
+});
+app.locals.realclock.attach(server);
+closeOnShutdown.push((callback) => server.close(() => callback()));
+
+// Start the optional SNTP server, answering from the same clock
+if (config.ntp.port !== null) {
+  // NTP_STRATUM and NTP_REFID are only ever set together, see lib/config.js
+  const configured = config.ntp.stratum !== null;
+  const explicit = configured
+    ? { stratum: config.ntp.stratum, refId: config.ntp.refId }
+    : {};
+
+  // warn clients of a leap second at the end of the current UTC day, unless
+  // upstream already reports a leap second, or that we are unsynchronized
+  const leapIndicator = (leap = ntp.LEAP_NONE) => {
+    if (leap !== ntp.LEAP_NONE) return leap;
+    const next = leapSeconds.imminent(Date.now());
+    if (!next) return leap;
+    return next.change > 0 ? ntp.LEAP_ADD_SECOND : ntp.LEAP_DELETE_SECOND;
+  };
+
+  // follow the upstream monitor when there is one, explicit settings win,
+  // with neither the server says it is unsynchronized, see lib/ntp-server.js
+  const ntpServer = createNtpServer({
+    log: log.app,
+    status: () => {
+      if (config.upstream.servers.length === 0 && !configured) return {};
+      const status =
+        config.upstream.servers.length > 0
+          ? { ...upstreamMonitor.ntpStatus(), ...explicit }
+          : configuredStatus(explicit);
+      return { ...status, leap: leapIndicator(status.leap) };
+    },
+  });
+  ntpServer.listen(config.ntp.port, undefined, () =>
+    log.app.info("NTP server running", { udpPort: config.ntp.port })
+  );
+  closeOnShutdown.push(ntpServer.close);
 }
 
-// Centralized error handler for unexpected errors
-app.use((err, req, res, next) => {
-  console.error("Unexpected error:", err);
-  res.status(500).json({
-    error: "Internal Server Error",
-    message: "An unexpected error occurred. Please try again later.",
+// Start the optional Daytime (RFC 867) and Time (RFC 868) servers, for old
+// devices that can't use NTP, with the same per IP limit as /api/time
+for (const [protocol, port] of [
+  ["daytime", config.daytimePort],
+  ["time", config.timePort],
+]) {
+  if (port === null) continue;
+  const legacyServer = createLegacyTimeServer({
+    protocol,
+    windowMs: config.limits.windowMs,
+    maxPerIp: config.limits.perIpMax,
+    log: log.app,
   });
-});
-
-// Graceful shutdown
-process.on("SIGINT", () => {
-  console.log("Shutting down server...");
-  process.exit(0);
-});
-
-process.on("SIGTERM", () => {
-  console.log("Shutting down server...");
-  process.exit(0);
-});
+  legacyServer.listen(port, undefined, () =>
+    log.app.info(`${legacyServer.name} server running`, {
+      tcpPort: port,
+      udpPort: port,
+    })
+  );
+  closeOnShutdown.push(legacyServer.close);
+}
 
-// Start the server
-const PORT = process.env.PORT || 3007;
-app.listen(PORT, () => console.log(`Server running on port ${PORT}`));
+// Roughtime over UDP, as well as HTTP, it is closed along with the app
+if (roughtime && config.roughtime.port !== null) {
+  roughtime.listen(config.roughtime.port, undefined, () =>
+    log.app.info("Roughtime server running", {
+      udpPort: config.roughtime.port,
+    })
+  );
+}
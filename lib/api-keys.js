@@ -0,0 +1,117 @@
+// API keys, for clients that need more than the anonymous rate limits, like
+// offices behind one NAT address or monitoring probes
+//
+// Keys are kept in a JSON file, managed with api-keys.js in the project root.
+// Only a SHA-256 hash of each key is stored, the key itself is shown once when
+// it is created. Each key has
+//
+//   { "id": "3f2a9c1e", "label": "office", "hash": "...", "quota": 1000,
+//     "origins": ["https://intranet.example.com"], "created": "2026-10-19T..." }
+//
+// where `quota` is requests per rate limit window, and `origins` are allowed by
+// CORS for requests made with the key, as well as ALLOWED_ORIGINS.
+
+const crypto = require("crypto");
+const fs = require("fs");
+
+const KEY_PREFIX = "rc_";
+
+// how often the server checks the file for changes made by the CLI
+const WATCH_INTERVAL = 5000;
+
+const hashKey = (key) => crypto.createHash("sha256").update(key).digest("hex");
+
+// a new random key and its record, the key is only returned here
+const generateKey = ({ label, quota, origins = [] }) => {
+  const key = KEY_PREFIX + crypto.randomBytes(24).toString("base64url");
+  return {
+    key,
+    record: {
+      id: crypto.randomBytes(4).toString("hex"),
+      label,
+      hash: hashKey(key),
+      quota,
+      origins,
+      created: new Date().toISOString(),
+    },
+  };
+};
+
+// the key records in a file, a missing file has none, throws if it is invalid
+const readKeyFile = (file) => {
+  let text;
+  try {
+    text = fs.readFileSync(file, "utf8");
+  } catch (err) {
+    if (err.code === "ENOENT") return [];
+    throw err;
+  }
+
+  const { keys } = JSON.parse(text);
+  if (!Array.isArray(keys)) throw new Error(`${file} has no "keys" list`);
+  for (const record of keys) {
+    if (
+      typeof record.hash !== "string" ||
+      !Number.isInteger(record.quota) ||
+      record.quota < 1 ||
+      !Array.isArray(record.origins)
+    ) {
+      throw new Error(`${file} has an invalid key ${record.id}`);
+    }
+  }
+  return keys;
+};
+
+// replace the file in one step, so the server never reads half of it
+const writeKeyFile = (file, keys) => {
+  const temp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(temp, `${JSON.stringify({ keys }, null, 2)}\n`, {
+    mode: 0o600,
+  });
+  fs.renameSync(temp, file);
+};
+
+// the server's view of the key file, re-read when it changes
+const createApiKeyStore = ({ file, log = console }) => {
+  let byHash = new Map();
+  let origins = new Set();
+
+  const load = () => {
+    const keys = readKeyFile(file);
+    byHash = new Map(keys.map((record) => [record.hash, record]));
+    origins = new Set(keys.flatMap((record) => record.origins));
+  };
+  load();
+
+  const onChange = () => {
+    try {
+      load();
+    } catch (err) {
+      log.warn("Could not reload API_KEYS_FILE", { error: err.message });
+    }
+  };
+  fs.watchFile(file, { interval: WATCH_INTERVAL, persistent: false }, onChange);
+
+  return {
+    get size() {
+      return byHash.size;
+    },
+
+    // the record for a key, or null if it isn't one of ours
+    lookup: (key) => byHash.get(hashKey(key)) || null,
+
+    // whether any key allows the origin, for CORS preflight requests, which
+    // are sent without the key
+    isKnownOrigin: (origin) => origins.has(origin),
+
+    close: () => fs.unwatchFile(file, onChange),
+  };
+};
+
+module.exports = {
+  hashKey,
+  generateKey,
+  readKeyFile,
+  writeKeyFile,
+  createApiKeyStore,
+};
@@ -0,0 +1,256 @@
+// Server configuration, from environment variables or a JSON file
+//
+// Every setting has an environment variable and a path in the JSON file, e.g
+// RATE_LIMIT_PER_IP_MAX and { "limits": { "perIpMax": 50 } }. The file is
+// given by CONFIG_FILE, and environment variables override it. All settings
+// are checked against the schema below, and every problem is reported at once.
+
+const fs = require("fs");
+const { LEVELS } = require("./logger");
+
+class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n  ${problems.join("\n  ")}`);
+    this.name = "ConfigError";
+    this.problems = problems;
+  }
+}
+
+// each type parses a value from the environment, a string, or from the JSON
+// file, and returns undefined if it isn't valid
+const parseList = (value) =>
+  typeof value === "string"
+    ? value
+        .split(",")
+        .map((s) => s.trim())
+        .filter(Boolean)
+    : Array.isArray(value) && value.every((s) => typeof s === "string")
+    ? value
+    : undefined;
+
+const parseInteger = (value) => {
+  const number = typeof value === "string" ? Number(value) : value;
+  return Number.isInteger(number) ? number : undefined;
+};
+
+const parseBoolean = (value) => {
+  if (typeof value === "boolean") return value;
+  if (/^(true|1|on|yes)$/i.test(value)) return true;
+  if (/^(false|0|off|no)$/i.test(value)) return false;
+  return undefined;
+};
+
+const TYPES = {
+  string: {
+    parse: (value) => (typeof value === "string" ? value : undefined),
+    describe: "a string",
+  },
+  list: {
+    parse: parseList,
+    describe: "a comma separated list",
+  },
+  boolean: {
+    parse: parseBoolean,
+    describe: "true or false",
+  },
+  integer: {
+    parse: parseInteger,
+    describe: "an integer",
+  },
+  port: {
+    parse: (value) => {
+      const port = parseInteger(value);
+      return port >= 0 && port <= 65535 ? port : undefined;
+    },
+    describe: "a port number",
+  },
+
+  // a number of bytes, optionally with a k, M or G suffix, e.g "10M"
+  size: {
+    parse: (value) => {
+      const match = /^(\d+)\s*([kmg]?)b?$/i.exec(String(value));
+      if (!match) return undefined;
+      const power = " kmg".indexOf(match[2].toLowerCase() || " ");
+      return Number(match[1]) * 1024 ** power;
+    },
+    describe: "a size in bytes, e.g 10M",
+  },
+
+  // as Express's "trust proxy" setting, true or false, a number of hops, or
+  // a list of addresses and subnets
+  trustProxy: {
+    parse: (value) => {
+      // a number of hops first, "1" isn't the same as true here
+      const hops = parseInteger(value);
+      if (hops !== undefined) return hops >= 0 ? hops : undefined;
+      const boolean = parseBoolean(value);
+      if (boolean !== undefined) return boolean;
+      const list = parseList(value);
+      return list && list.length > 0 ? list : undefined;
+    },
+    describe: "true, false, a number of hops or a list of addresses",
+  },
+};
+
+// [path, environment variable, type, default, extra checks]
+const SCHEMA = [
+  ["port", "PORT", "port", 3007],
+  ["trustProxy", "TRUST_PROXY", "trustProxy", false],
+  ["allowedOrigins", "ALLOWED_ORIGINS", "list", []],
+
+  ["limits.windowMs", "RATE_LIMIT_WINDOW_MS", "integer", 60 * 1000, { min: 1 }],
+  ["limits.globalMax", "RATE_LIMIT_GLOBAL_MAX", "integer", 500, { min: 1 }],
+  ["limits.perIpMax", "RATE_LIMIT_PER_IP_MAX", "integer", 50, { min: 1 }],
+  [
+    "limits.wsConnectionsPerIp",
+    "WS_MAX_CONNECTIONS_PER_IP",
+    "integer",
+    10,
+    { min: 1 },
+  ],
+  [
+    "limits.wsMessagesPerSecond",
+    "WS_MAX_MESSAGES_PER_SECOND",
+    "integer",
+    20,
+    { min: 1 },
+  ],
+  [
+    "limits.streamsPerIp",
+    "STREAM_MAX_CONNECTIONS_PER_IP",
+    "integer",
+    5,
+    { min: 1 },
+  ],
+
+  [
+    "limits.reportsPerIp",
+    "RATE_LIMIT_REPORTS_PER_IP",
+    "integer",
+    5,
+    { min: 1 },
+  ],
+
+  ["apiKeys.file", "API_KEYS_FILE", "string", null],
+
+  ["reports.enabled", "REPORTS", "boolean", true],
+  ["reports.file", "REPORTS_FILE", "string", null],
+
+  // "json", a morgan format, or "off", see lib/logger.js
+  ["logging.format", "LOG_FORMAT", "string", "json"],
+  ["logging.level", "LOG_LEVEL", "string", "info", { values: LEVELS }],
+  ["logging.dir", "LOG_DIR", "string", null],
+  ["logging.maxSize", "LOG_MAX_SIZE", "size", 10 * 1024 * 1024, { min: 1 }],
+  ["logging.maxFiles", "LOG_MAX_FILES", "integer", 5, { min: 0 }],
+
+  ["securityHeaders.enabled", "SECURITY_HEADERS", "boolean", true],
+  [
+    "securityHeaders.contentSecurityPolicy",
+    "CONTENT_SECURITY_POLICY",
+    "boolean",
+    true,
+  ],
+  ["securityHeaders.hsts", "HSTS", "boolean", true],
+  ["securityHeaders.connectSources", "CSP_CONNECT_SOURCES", "list", []],
+
+  ["upstream.servers", "UPSTREAM_SERVERS", "list", []],
+  [
+    "upstream.pollInterval",
+    "UPSTREAM_POLL_INTERVAL",
+    "integer",
+    64,
+    { min: 1 },
+  ],
+  ["upstream.maxErrorMs", "UPSTREAM_MAX_ERROR_MS", "integer", 100, { min: 1 }],
+
+  ["leapSecondsFile", "LEAP_SECONDS_FILE", "string", null],
+
+  ["ntp.port", "NTP_PORT", "port", null],
+  ["ntp.stratum", "NTP_STRATUM", "integer", null, { min: 1, max: 15 }],
+  ["ntp.refId", "NTP_REFID", "string", null],
+
+  ["daytimePort", "DAYTIME_PORT", "port", null],
+  ["timePort", "TIME_PORT", "port", null],
+
+  ["roughtime.privateKey", "ROUGHTIME_PRIVATE_KEY", "string", null],
+  ["roughtime.keyFile", "ROUGHTIME_KEY_FILE", "string", null],
+  ["roughtime.port", "ROUGHTIME_PORT", "port", null],
+  ["roughtime.radiusMs", "ROUGHTIME_RADIUS_MS", "integer", 1000, { min: 1 }],
+];
+
+const getPath = (object, path) =>
+  path
+    .split(".")
+    .reduce((value, key) => (value == null ? undefined : value[key]), object);
+
+const setPath = (object, path, value) => {
+  const keys = path.split(".");
+  const last = keys.pop();
+  let target = object;
+  for (const key of keys) target = target[key] = target[key] || {};
+  target[last] = value;
+};
+
+// every path in a JSON object, to report settings that don't exist
+const listPaths = (object, prefix = "") =>
+  Object.entries(object).flatMap(([key, value]) =>
+    value && typeof value === "object" && !Array.isArray(value)
+      ? listPaths(value, `${prefix}${key}.`)
+      : [`${prefix}${key}`]
+  );
+
+// build the configuration from `env`, and the JSON file named by its
+// CONFIG_FILE, or from `file` as an object, throws a ConfigError listing every
+// invalid setting
+const loadConfig = ({ env = process.env, file } = {}) => {
+  const problems = [];
+
+  let json = file || {};
+  if (!file && env.CONFIG_FILE) {
+    try {
+      json = JSON.parse(fs.readFileSync(env.CONFIG_FILE, "utf8"));
+    } catch (err) {
+      throw new ConfigError([`CONFIG_FILE: ${err.message}`]);
+    }
+  }
+
+  const known = new Set(SCHEMA.map(([path]) => path));
+  for (const path of listPaths(json)) {
+    if (!known.has(path)) problems.push(`${path}: unknown setting`);
+  }
+
+  const config = {};
+  for (const [path, envName, type, fallback, checks = {}] of SCHEMA) {
+    // empty environment variables count as unset, like an empty .env entry
+    const fromEnv = env[envName] !== undefined && env[envName] !== "";
+    const raw = fromEnv ? env[envName] : getPath(json, path);
+    const source = fromEnv ? envName : path;
+
+    let value = fallback;
+    if (raw !== undefined && raw !== null) {
+      value = TYPES[type].parse(raw);
+      if (value === undefined) {
+        problems.push(`${source}: must be ${TYPES[type].describe}`);
+        value = fallback;
+      } else if (checks.min !== undefined && value < checks.min) {
+        problems.push(`${source}: must be at least ${checks.min}`);
+      } else if (checks.max !== undefined && value > checks.max) {
+        problems.push(`${source}: must be at most ${checks.max}`);
+      } else if (checks.values && !checks.values.includes(value)) {
+        problems.push(`${source}: must be one of ${checks.values.join(", ")}`);
+      }
+    }
+    setPath(config, path, value);
+  }
+
+  // a stratum of 2 or more reads the reference ID as an IPv4 address, and 1 as
+  // a code, so neither means anything without the other
+  if ((config.ntp.stratum === null) !== !config.ntp.refId) {
+    problems.push("NTP_STRATUM and NTP_REFID: must be set together");
+  }
+
+  if (problems.length > 0) throw new ConfigError(problems);
+  return config;
+};
+
+module.exports = { ConfigError, loadConfig };
@@ -0,0 +1,670 @@
+// The time server as an Express app, built from a configuration object (see
+// lib/config.js)
+//
+// The app can be listened on directly, as app.js does, or mounted inside
+// another Express app. Everything else it needs is on app.locals.realclock:
+//
+// - `attach(server)` adds the WebSocket endpoint to an HTTP server, and tracks
+//   whether it is listening for /readyz
+// - `close(callback)` stops upstream polling, timers, WebSocket clients and
+//   event streams
+// - `upstreamMonitor`, `leapSeconds`, `roughtime` and `metrics`, for the NTP,
+//   Daytime, Time and Roughtime listeners that share the same clock
+// - `log`, the app, access and sync loggers from lib/logger.js, created from
+//   config.logging unless passed in
+
+const http = require("http");
+const express = require("express");
+const rateLimit = require("express-rate-limit");
+const cors = require("cors");
+const proxyaddr = require("proxy-addr");
+const path = require("path");
+const fs = require("fs");
+const helmet = require("helmet");
+const morgan = require("morgan");
+const { createApiKeyStore } = require("./api-keys");
+const { parseReport, createReportStore } = require("./reports");
+const { createRoughtimeServer } = require("./roughtime");
+const { routeOf, createMetrics } = require("./metrics");
+const { createLoggers } = require("./logger");
+const { FORMAT_NAMES, negotiateFormat, sendFormatted } = require("./formats");
+const { createUpstreamMonitor } = require("./upstream");
+const { attachTimeSocket } = require("./ws-sync");
+const { MAX_INTERVAL, createTickStream } = require("./tick-stream");
+const { parseTimeZone, describeTimeZone } = require("./timezone");
+const { SCALES, createLeapSecondTable } = require("./leap-seconds");
+
+const staticPath = path.join(__dirname, "../public");
+
+// an API key in the query string, kept out of the access log
+const redactApiKey = (url) =>
+  url.replace(/([?&]api_key=)[^&#]*/gi, "$1[redacted]");
+
+// a morgan format, by name or as a format string, that logs URLs with any API
+// key redacted, every format logs the URL through its `url` token
+const redactedMorganFormat = (format) => {
+  const named = morgan[format] || format;
+  const formatLine =
+    typeof named === "function" ? named : morgan.compile(named);
+  const tokens = Object.create(morgan, {
+    url: { value: (req) => redactApiKey(req.originalUrl || req.url) },
+  });
+  return (_tokens, req, res) => formatLine(tokens, req, res);
+};
+
+// throws if the leap seconds file, API keys file, reports file or Roughtime key
+// can't be loaded
+const createApp = (config, { log = createLoggers(config.logging) } = {}) => {
+  const app = express();
+  app.set("trust proxy", config.trustProxy);
+
+  // Monitor our own clock against upstream NTP servers, if any are configured
+  const upstreamMonitor = createUpstreamMonitor({
+    servers: config.upstream.servers,
+    pollInterval: config.upstream.pollInterval * 1000,
+    maxErrorMs: config.upstream.maxErrorMs,
+  });
+
+  // Sync log, each poll of each upstream server
+  upstreamMonitor.on("sync", (peer) => {
+    const { upstream } = upstreamMonitor.status();
+    const { host, port, address, stratum, offsetMs, delayMs, jitterMs } =
+      upstream.find((p) => p.host === peer.host && p.port === peer.port);
+    log.sync.info("Upstream sync", {
+      host,
+      port,
+      address,
+      stratum,
+      offsetMs,
+      delayMs,
+      jitterMs,
+    });
+  });
+
+  upstreamMonitor.on("unreachable", (peer, err) => {
+    log.sync.warn("Upstream unreachable", {
+      host: peer.host,
+      port: peer.port,
+      error: err.message,
+    });
+  });
+
+  // Prometheus metrics, served at /metrics
+  const metrics = createMetrics({ upstreamMonitor });
+
+  // Leap second table, built in or from a leap-seconds.list file
+  let leapSeconds;
+  try {
+    leapSeconds = createLeapSecondTable({ file: config.leapSecondsFile });
+  } catch (err) {
+    throw new Error(`Could not load LEAP_SECONDS_FILE: ${err.message}`);
+  }
+
+  const warnIfLeapSecondsExpired = () => {
+    if (leapSeconds.isExpired(Date.now())) {
+      log.app.warn(
+        "Leap second table has expired, set LEAP_SECONDS_FILE to an up to date leap-seconds.list"
+      );
+    }
+  };
+  warnIfLeapSecondsExpired();
+
+  // Pick up a new leap seconds file once a day
+  let leapSecondsTimer = null;
+  if (config.leapSecondsFile) {
+    leapSecondsTimer = setInterval(() => {
+      try {
+        leapSeconds.reload();
+      } catch (err) {
+        log.app.warn("Could not reload LEAP_SECONDS_FILE", {
+          error: err.message,
+        });
+      }
+      warnIfLeapSecondsExpired();
+    }, 24 * 60 * 60 * 1000);
+    leapSecondsTimer.unref();
+  }
+
+  // Optional Roughtime server, enabled by giving it a long-term private key
+  // its radius is our estimated error when upstream monitoring knows it
+  let roughtime = null;
+  if (config.roughtime.keyFile || config.roughtime.privateKey) {
+    try {
+      roughtime = createRoughtimeServer({
+        privateKey: config.roughtime.keyFile
+          ? fs.readFileSync(config.roughtime.keyFile, "utf8")
+          : config.roughtime.privateKey,
+        radius: () => {
+          const { synchronized, estimatedErrorMs } = upstreamMonitor.status();
+          return synchronized ? estimatedErrorMs : config.roughtime.radiusMs;
+        },
+        log: log.app,
+      });
+    } catch (err) {
+      throw new Error(`Could not load Roughtime private key: ${err.message}`);
+    }
+  }
+
+  // Optional API keys, with their own rate limits and allowed origins
+  let apiKeys = null;
+  if (config.apiKeys.file) {
+    try {
+      apiKeys = createApiKeyStore({ file: config.apiKeys.file, log: log.app });
+    } catch (err) {
+      throw new Error(`Could not load API_KEYS_FILE: ${err.message}`);
+    }
+  }
+
+  // Anonymous clock error reports from clock pages, aggregated for /stats
+  const reports = config.reports.enabled
+    ? createReportStore({ file: config.reports.file, log: log.app })
+    : null;
+
+  // Record when each request arrives, before any other middleware runs, so
+  // time spent queueing or in the rate limiters is not mistaken for clock
+  // offset
+  app.use((req, res, next) => {
+    req.receiveTime = Date.now();
+    next();
+  });
+
+  // Count requests by route, and time /api/time from here on
+  app.use(metrics.middleware);
+
+  // Security headers, other time servers the page syncs with must be allowed
+  // to connect to by the Content Security Policy
+  const { securityHeaders } = config;
+  if (securityHeaders.enabled) {
+    app.use(
+      helmet({
+        contentSecurityPolicy: securityHeaders.contentSecurityPolicy && {
+          directives: {
+            connectSrc: ["'self'", ...securityHeaders.connectSources],
+            // the server is often run over plain HTTP, on a LAN or behind
+            // a proxy
+            upgradeInsecureRequests: null,
+          },
+        },
+        strictTransportSecurity: securityHeaders.hsts,
+        // the API is meant to be used from other sites
+        crossOriginResourcePolicy: { policy: "cross-origin" },
+      })
+    );
+  }
+
+  // Access log, a line for each answered request with its route, status,
+  // latency, the rate limit that turned it away if any, its origin and API
+  // key, or morgan's output in one of its formats, with any API key in the
+  // URL redacted
+  // reports are not logged so their IP addresses aren't stored anywhere
+  if (config.logging.format === "json") {
+    app.use((req, res, next) => {
+      const start = process.hrtime.bigint();
+      res.on("finish", () => {
+        if (req.path === "/api/report") return;
+        const origin = req.get("Origin");
+        log.access[res.statusCode >= 500 ? "error" : "info"]("Request", {
+          method: req.method,
+          path: req.path,
+          route: routeOf(req, res),
+          status: res.statusCode,
+          durationMs:
+            Math.round(Number(process.hrtime.bigint() - start) / 1e3) / 1e3,
+          limit: res.locals.rateLimited || null,
+          origin: origin || null,
+          originAllowed: origin ? req.originAllowed !== false : null,
+          apiKey: req.apiKey ? req.apiKey.id : null,
+          ip: req.ip,
+          userAgent: req.get("User-Agent") || null,
+        });
+      });
+      next();
+    });
+  } else if (config.logging.format !== "off") {
+    app.use(
+      morgan(redactedMorganFormat(config.logging.format), {
+        skip: (req) => req.path === "/api/report",
+      })
+    );
+  }
+
+  // Rate limiters, over the limit requests get a 429 saying which `limit`
+  // was hit, with a Retry-After header for when it resets
+  const limiter = ({ name, message, ...options }) =>
+    rateLimit({
+      windowMs: config.limits.windowMs,
+      ...options,
+      handler: (req, res, next, limitOptions) => {
+        metrics.rateLimited(name);
+        res.locals.rateLimited = name;
+        res.status(limitOptions.statusCode).json({
+          error: "Too Many Requests",
+          message: typeof message === "function" ? message(req) : message,
+          limit: name,
+        });
+      },
+    });
+
+  // requests with an API key only count against the key's own quota
+  const globalLimiter = limiter({
+    name: "global",
+    limit: config.limits.globalMax,
+    skip: (req) => Boolean(req.apiKey),
+    message:
+      "The server is receiving too many requests. Please try again later.",
+  });
+  // each per IP limiter has its own count, of up to perIpMax requests
+  const createPerIpLimiter = (name) =>
+    limiter({
+      name,
+      limit: config.limits.perIpMax,
+      skip: (req) => Boolean(req.apiKey),
+      message: "You have exceeded the request limit. Please try again later.",
+    });
+  const apiKeyLimiter = limiter({
+    name: "api_key",
+    limit: (req) => req.apiKey.quota,
+    skip: (req) => !req.apiKey,
+    keyGenerator: (req) => req.apiKey.id,
+    message: (req) =>
+      `The API key "${req.apiKey.label}" has exceeded its quota. Please try again later.`,
+  });
+
+  // /api/time, /api/leap-seconds and /api/roughtime are what a clock page
+  // syncs with, and share one count, the tick stream and stats have their
+  // own, so a page using them doesn't run out of requests to sync with
+  // an API key's quota covers every endpoint
+  const apiLimiters = [createPerIpLimiter("per_ip"), apiKeyLimiter];
+  const streamLimiters = [createPerIpLimiter("per_ip_stream"), apiKeyLimiter];
+  const statsLimiters = [createPerIpLimiter("per_ip_stats"), apiKeyLimiter];
+
+  // each page view sends one report, and API keys don't raise this limit
+  const reportLimiter = limiter({
+    name: "reports_per_ip",
+    limit: config.limits.reportsPerIp,
+    message: "You have sent too many reports. Please try again later.",
+  });
+
+  // Look up the API key, from the X-API-Key header or the api_key query
+  // parameter, `req.apiKey` is null for a key we don't know
+  if (apiKeys) {
+    app.use((req, res, next) => {
+      const key = req.get("X-API-Key") || req.query.api_key;
+      if (key !== undefined) {
+        req.apiKey = typeof key === "string" ? apiKeys.lookup(key) : null;
+      }
+      next();
+    });
+  }
+
+  // CORS middleware to allow only specific domains to access the time server
+  const { allowedOrigins } = config;
+
+  if (allowedOrigins.length === 0) {
+    log.app.warn(
+      "No allowed origins specified for CORS. All origins will be blocked."
+    );
+  }
+
+  // API keys can allow more origins, preflight requests are sent without the
+  // key, so they are allowed for any origin one of the keys allows
+  const isOriginAllowed = (req, origin) => {
+    if (allowedOrigins.includes(origin)) return true;
+    if (req.apiKey) return req.apiKey.origins.includes(origin);
+    return req.method === "OPTIONS" && apiKeys && apiKeys.isKnownOrigin(origin);
+  };
+
+  app.use(
+    cors((req, callback) => {
+      const origin = req.get("Origin");
+      // Allow requests with no origin (like mobile apps, curl, etc.)
+      if (!origin) return callback(null, { origin: true });
+      if (isOriginAllowed(req, origin)) {
+        return callback(null, { origin: true });
+      } else {
+        metrics.corsRejected("http");
+        req.originAllowed = false;
+        return callback(null, { origin: false }); // Let the error handler handle the response
+      }
+    })
+  );
+
+  // Reject unknown API keys, after CORS so browsers can read the response
+  app.use((req, res, next) => {
+    if (req.apiKey !== null) return next();
+    res.status(401).json({
+      error: "Unauthorized",
+      message: "The API key is not valid.",
+    });
+  });
+
+  // Custom error handler for CORS failures
+  app.use((err, req, res, next) => {
+    if (err.message === "Not allowed by CORS") {
+      res.status(403).json({
+        error: "CORS Error",
+        message: "The origin is not allowed to access this resource.",
+      });
+    } else {
+      next(err); // Pass other errors to the default error handler
+    }
+  });
+
+  // Health and metrics endpoints, before the rate limiters so monitoring is
+  // never locked out
+  // Liveness, the process is up and serving requests
+  app.get("/healthz", (req, res) => {
+    res.json({ status: "ok" });
+  });
+
+  // Readiness, listening and, when upstream monitoring is configured, with our
+  // clock synchronized to it
+  // mounted in another app without attach(), we are serving if we get here
+  let server = null;
+  app.get("/readyz", (req, res) => {
+    const listening = server ? server.listening : true;
+    const { synchronized } = upstreamMonitor.status();
+    const ready = listening && synchronized !== false;
+    res.status(ready ? 200 : 503).json({
+      status: ready ? "ok" : "unavailable",
+      listening,
+      synchronized,
+    });
+  });
+
+  app.get("/metrics", async (req, res) => {
+    res.type(metrics.contentType).send(await metrics.metrics());
+  });
+
+  // Serve static files from the realclock directory
+  app.use(express.static(staticPath));
+
+  // Apply global rate limiter to all routes
+  app.use(globalLimiter);
+
+  // Apply per-IP or per-key rate limiters only to the /api/time endpoint
+  // Responds with NTP style timestamps: the client's send time is echoed back
+  // as `originate`, alongside the server's `receive` and `transmit` times
+  // With `tz`, an IANA time zone name, also responds with the local time and
+  // DST details of that zone, and with `scale`, the time on the UTC, TAI or GPS
+  // scale along with the current TAI - UTC offset and any pending leap second
+  // Other output formats can be asked for with `format` or the Accept header
+  app.get("/api/time", apiLimiters, (req, res) => {
+    const originate = Number(req.query.originate);
+    const receive = req.receiveTime;
+
+    res.vary("Accept");
+    const format = negotiateFormat(req);
+    if (!format) {
+      return res.status(406).json({
+        error: "Not Acceptable",
+        message: `Supported formats are ${FORMAT_NAMES.join(", ")}.`,
+      });
+    }
+
+    const timeZone = parseTimeZone(req, res);
+    if (timeZone === undefined) return;
+
+    const scale = req.query.scale;
+    if (scale !== undefined && !SCALES.includes(scale)) {
+      return res.status(400).json({
+        error: "Bad Request",
+        message: `The scale parameter must be one of ${SCALES.join(", ")}.`,
+      });
+    }
+
+    // stamp the transmit time as late as possible, just before sending
+    const transmit = Date.now();
+    sendFormatted(res, format, {
+      milliseconds: transmit,
+      datetime: new Date(transmit).toISOString(),
+      originate: Number.isFinite(originate) ? originate : null,
+      receive,
+      transmit,
+      server: upstreamMonitor.status(),
+      ...(timeZone && { timezone: describeTimeZone(timeZone, transmit) }),
+      ...(scale && { timescale: leapSeconds.describeScale(transmit, scale) }),
+    });
+  });
+
+  // The leap second table, with the current TAI - UTC offset
+  app.get("/api/leap-seconds", apiLimiters, (req, res) => {
+    res.json(leapSeconds.describe(Date.now()));
+  });
+
+  // Server-Sent Events at each second boundary, or every `interval` seconds,
+  // with the local time of `tz` when given
+  const tickStream = createTickStream({
+    status: () => upstreamMonitor.status(),
+    describeZone: describeTimeZone,
+    maxStreamsPerIp: config.limits.streamsPerIp,
+  });
+
+  app.get("/api/stream", streamLimiters, (req, res) => {
+    const interval =
+      req.query.interval === undefined ? 1 : Number(req.query.interval);
+    if (
+      !Number.isInteger(interval) ||
+      interval < 1 ||
+      interval > MAX_INTERVAL
+    ) {
+      return res.status(400).json({
+        error: "Bad Request",
+        message: `The interval parameter must be a whole number of seconds from 1 to ${MAX_INTERVAL}.`,
+      });
+    }
+
+    const timeZone = parseTimeZone(req, res);
+    if (timeZone === undefined) return;
+
+    if (!tickStream.open(req, res, { interval, timeZone })) {
+      metrics.rateLimited("streams_per_ip");
+      res.locals.rateLimited = "streams_per_ip";
+      res.status(429).json({
+        error: "Too Many Requests",
+        message: `Each IP address may have up to ${config.limits.streamsPerIp} streams open.`,
+        limit: "streams_per_ip",
+      });
+    }
+  });
+
+  // Clock error reports, { offset, errorBound, family }, see lib/reports.js
+  if (reports) {
+    app.post(
+      "/api/report",
+      reportLimiter,
+      express.json({ limit: "1kb" }),
+      (req, res) => {
+        const report = parseReport(req.body);
+        if (!report) {
+          return res.status(400).json({
+            error: "Bad Request",
+            message:
+              "The report must be JSON with a numeric offset and errorBound in milliseconds.",
+          });
+        }
+        reports.add(report);
+        res.status(204).end();
+      }
+    );
+
+    // Histograms of the reports over the last day and week
+    app.get("/api/stats", statsLimiters, (req, res) => {
+      res.json(reports.describe());
+    });
+
+    app.get("/stats", (req, res) => {
+      res.sendFile(path.join(staticPath, "stats.html"));
+    });
+  }
+
+  // Roughtime over HTTP, the request and reply are binary Roughtime messages
+  if (roughtime) {
+    app.post(
+      "/api/roughtime",
+      apiLimiters,
+      express.raw({ type: "application/octet-stream", limit: "4kb" }),
+      async (req, res) => {
+        if (!Buffer.isBuffer(req.body)) {
+          return res.status(400).json({
+            error: "Bad Request",
+            message: "The request must be an application/octet-stream body.",
+          });
+        }
+
+        let reply;
+        try {
+          reply = await roughtime.respond(req.body);
+        } catch (err) {
+          return res.status(400).json({
+            error: "Bad Request",
+            message: err.message,
+          });
+        }
+        res.type("application/octet-stream").send(reply);
+      }
+    );
+  }
+
+  // Enhanced 404 handler for API and non-API routes
+  app.use((req, res) => {
+    if (req.path.startsWith("/api/")) {
+      res.status(404).json({
+        error: "Not Found",
+        message: "The requested API endpoint could not be found.",
+      });
+    } else {
+      res.status(404).send(
+        `<!DOCTYPE html>
+      <html lang="en">
+      <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>404 Not Found</title>
+      </head>
+      <body>
+        <h1>404 Not Found</h1>
+        <p>The page you are looking for does not exist.</p>
+      </body>
+      </html>`
+      );
+    }
+  });
+
+  // Centralized error handler for unexpected errors, request bodies that
+  // can't be parsed or are too large keep their 4xx status
+  app.use((err, req, res, next) => {
+    if (err.expose && err.status >= 400 && err.status < 500) {
+      return res.status(err.status).json({
+        error: http.STATUS_CODES[err.status],
+        message: err.message,
+      });
+    }
+    log.app.error("Unexpected error", {
+      method: req.method,
+      path: req.path,
+      error: err,
+    });
+    res.status(500).json({
+      error: "Internal Server Error",
+      message: "An unexpected error occurred. Please try again later.",
+    });
+  });
+
+  // WebSocket time sync channel, handled outside of Express on the same port
+  let timeSocket = null;
+  const attach = (httpServer, { path: wsPath = "/api/ws" } = {}) => {
+    server = httpServer;
+    timeSocket = attachTimeSocket(httpServer, {
+      path: wsPath,
+      isOriginAllowed: (origin) => {
+        const allowed = allowedOrigins.includes(origin);
+        if (!allowed) metrics.corsRejected("websocket");
+        return allowed;
+      },
+      status: () => upstreamMonitor.status(),
+      maxConnectionsPerIp: config.limits.wsConnectionsPerIp,
+      maxMessagesPerSecond: config.limits.wsMessagesPerSecond,
+      // the same address as req.ip, following the trust proxy setting
+      clientIp: (req) => proxyaddr(req, app.get("trust proxy fn")),
+    });
+  };
+
+  // Log and tell connected clients when the server's own sync status changes
+  let lastSynchronized = upstreamMonitor.status().synchronized;
+  const notifySyncStatus = () => {
+    const status = upstreamMonitor.status();
+    if (status.synchronized === lastSynchronized) return;
+    lastSynchronized = status.synchronized;
+    log.sync[status.synchronized ? "info" : "warn"](
+      status.synchronized ? "Synchronized" : "Not synchronized",
+      {
+        estimatedErrorMs: status.estimatedErrorMs,
+        offsetMs: status.offsetMs,
+        jitterMs: status.jitterMs,
+      }
+    );
+    if (timeSocket)
+      timeSocket.notify({ event: "server-status", server: status });
+  };
+  upstreamMonitor.on("sync", notifySyncStatus);
+  upstreamMonitor.on("unreachable", notifySyncStatus);
+
+  // Tell connected clients of a leap second at the end of the current UTC
+  // day, once, clients connecting later find it in /api/leap-seconds
+  let announcedLeapSecond = null;
+  const announceLeapSecond = () => {
+    const next = leapSeconds.imminent(Date.now());
+    if (!next || !timeSocket || next.milliseconds === announcedLeapSecond) {
+      return;
+    }
+    announcedLeapSecond = next.milliseconds;
+    log.app.info("Leap second announced", {
+      datetime: next.datetime,
+      change: next.change,
+    });
+    timeSocket.notify({ event: "leap-second", leapSecond: next });
+  };
+  const leapSecondNoticeTimer = setInterval(announceLeapSecond, 60 * 1000);
+  leapSecondNoticeTimer.unref();
+
+  upstreamMonitor.start();
+
+  // stop everything started here, the HTTP server itself is left to its owner
+  const close = (callback = () => {}) => {
+    upstreamMonitor.stop();
+    clearInterval(leapSecondsTimer);
+    clearInterval(leapSecondNoticeTimer);
+    if (apiKeys) apiKeys.close();
+    tickStream.close();
+    if (reports) reports.close();
+    const closers = [
+      timeSocket && timeSocket.close,
+      roughtime && roughtime.close,
+    ];
+    let pending = closers.filter(Boolean).length;
+    if (pending === 0) return callback();
+    for (const closer of closers.filter(Boolean)) {
+      closer(() => {
+        if (--pending === 0) callback();
+      });
+    }
+  };
+
+  app.locals.realclock = {
+    config,
+    upstreamMonitor,
+    leapSeconds,
+    roughtime,
+    apiKeys,
+    reports,
+    metrics,
+    log,
+    attach,
+    close,
+  };
+
+  return app;
+};
+
+module.exports = { createApp };
@@ -0,0 +1,88 @@
+// Output formats for /api/time, picked by the `format` query parameter or
+// else by the Accept header
+
+const { encode: encodeCbor } = require("cbor-x");
+const { encode: encodeMsgpack } = require("@msgpack/msgpack");
+const ntp = require("./ntp");
+
+// `types` are the media types matched against the Accept header, formats
+// without any can only be asked for with `format`
+// `encode` is given the JSON response body
+const FORMATS = {
+  json: {
+    types: ["application/json"],
+    contentType: "application/json",
+    encode: (body) => JSON.stringify(body),
+  },
+
+  // ISO 8601, the local time when a time zone was asked for
+  text: {
+    types: ["text/plain"],
+    contentType: "text/plain",
+    encode: (body) =>
+      `${body.timezone ? body.timezone.localTime : body.datetime}\n`,
+  },
+
+  // seconds past Unix epoch, with milliseconds
+  unix: {
+    types: [],
+    contentType: "text/plain",
+    encode: (body) => `${(body.transmit / 1000).toFixed(3)}\n`,
+  },
+
+  // RFC 2822 style date as used by HTTP, e.g "Mon, 19 Oct 2026 08:30:00 GMT"
+  "http-date": {
+    types: [],
+    contentType: "text/plain",
+    encode: (body) => `${new Date(body.transmit).toUTCString()}\n`,
+  },
+
+  // 64 bit NTP timestamp, seconds since 1900 and a 32 bit fraction, big-endian
+  ntp: {
+    types: ["application/octet-stream"],
+    contentType: "application/octet-stream",
+    encode: (body) => {
+      const buffer = Buffer.alloc(8);
+      ntp.writeTimestamp(buffer, 0, body.transmit);
+      return buffer;
+    },
+  },
+
+  cbor: {
+    types: ["application/cbor"],
+    contentType: "application/cbor",
+    encode: (body) => encodeCbor(body),
+  },
+
+  msgpack: {
+    types: [
+      "application/msgpack",
+      "application/vnd.msgpack",
+      "application/x-msgpack",
+    ],
+    contentType: "application/msgpack",
+    encode: (body) => Buffer.from(encodeMsgpack(body)),
+  },
+};
+
+const FORMAT_NAMES = Object.keys(FORMATS);
+
+// the name of the format to respond with, or null if none is acceptable
+const negotiateFormat = (req) => {
+  if (req.query.format !== undefined) {
+    return FORMAT_NAMES.includes(req.query.format) ? req.query.format : null;
+  }
+
+  // JSON comes first, so it wins when anything is accepted
+  const types = FORMAT_NAMES.flatMap((name) => FORMATS[name].types);
+  const type = req.accepts(types);
+  if (!type) return null;
+  return FORMAT_NAMES.find((name) => FORMATS[name].types.includes(type));
+};
+
+const sendFormatted = (res, format, body) => {
+  const { contentType, encode } = FORMATS[format];
+  res.type(contentType).send(encode(body));
+};
+
+module.exports = { FORMAT_NAMES, negotiateFormat, sendFormatted };
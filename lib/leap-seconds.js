@@ -0,0 +1,214 @@
+// Leap second table, and conversion between the UTC, TAI and GPS time scales
+//
+// The built-in table is copied from the IERS leap-seconds.list. A newer copy
+// of that file can be given instead, e.g the one shipped with tzdata in
+// /usr/share/zoneinfo/leap-seconds.list, and is re-read by reload().
+
+const fs = require("fs");
+
+// seconds between the NTP epoch (1900) and the Unix epoch (1970)
+const NTP_EPOCH_OFFSET = 2208988800;
+
+// GPS time was set to UTC at its epoch, when TAI - UTC was 19 s, and has not
+// followed leap seconds since
+const TAI_MINUS_GPS = 19;
+const GPS_EPOCH = Date.UTC(1980, 0, 6);
+const GPS_WEEK = 7 * 24 * 60 * 60 * 1000;
+
+const SCALES = ["utc", "tai", "gps"];
+
+// [date the new offset applies from, TAI - UTC in seconds]
+const BUILTIN_LEAP_SECONDS = [
+  ["1972-01-01", 10],
+  ["1972-07-01", 11],
+  ["1973-01-01", 12],
+  ["1974-01-01", 13],
+  ["1975-01-01", 14],
+  ["1976-01-01", 15],
+  ["1977-01-01", 16],
+  ["1978-01-01", 17],
+  ["1979-01-01", 18],
+  ["1980-01-01", 19],
+  ["1981-07-01", 20],
+  ["1982-07-01", 21],
+  ["1983-07-01", 22],
+  ["1985-07-01", 23],
+  ["1988-01-01", 24],
+  ["1990-01-01", 25],
+  ["1991-01-01", 26],
+  ["1992-07-01", 27],
+  ["1993-07-01", 28],
+  ["1994-07-01", 29],
+  ["1996-01-01", 30],
+  ["1997-07-01", 31],
+  ["1999-01-01", 32],
+  ["2006-01-01", 33],
+  ["2009-01-01", 34],
+  ["2012-07-01", 35],
+  ["2015-07-01", 36],
+  ["2017-01-01", 37],
+];
+
+// the IERS list the table was taken from is valid until then, after that a
+// leap second may have been announced that the table doesn't know about
+// updated through IERS Bulletin C 72, no leap second at the end of 2026
+const BUILTIN_EXPIRES = "2027-06-28";
+
+const builtinTable = () => ({
+  entries: BUILTIN_LEAP_SECONDS.map(([date, taiMinusUtc]) => ({
+    time: Date.parse(date),
+    taiMinusUtc,
+  })),
+  expires: Date.parse(BUILTIN_EXPIRES),
+  source: "builtin",
+});
+
+const fromNtpSeconds = (seconds) => (seconds - NTP_EPOCH_OFFSET) * 1000;
+
+// parse the IERS leap-seconds.list format, lines of "<NTP seconds> <TAI - UTC>"
+// with the expiry date on a "#@ <NTP seconds>" line
+const parseLeapSecondsList = (text) => {
+  const entries = [];
+  let expires = null;
+
+  for (const line of text.split(/\r?\n/)) {
+    const expiry = /^#@\s+(\d+)/.exec(line);
+    if (expiry) {
+      expires = fromNtpSeconds(Number(expiry[1]));
+      continue;
+    }
+
+    const data = line.replace(/#.*/, "").trim();
+    if (!data) continue;
+
+    const match = /^(\d+)\s+(\d+)$/.exec(data);
+    if (!match) throw new Error(`Invalid leap seconds line: ${line}`);
+    entries.push({
+      time: fromNtpSeconds(Number(match[1])),
+      taiMinusUtc: Number(match[2]),
+    });
+  }
+
+  if (entries.length === 0) throw new Error("No leap seconds found");
+  if (expires === null) throw new Error("No expiry date found");
+  entries.sort((a, b) => a.time - b.time);
+
+  return { entries, expires, source: "file" };
+};
+
+const toISOString = (ms) => new Date(ms).toISOString();
+
+// ISO 8601 without the "Z", times on the TAI and GPS scales are not UTC
+const toScaleString = (ms) => toISOString(ms).slice(0, -1);
+
+const createLeapSecondTable = ({ file } = {}) => {
+  let table = builtinTable();
+
+  // the entry in force at `ms`, UTC milliseconds past Unix epoch
+  const entryAt = (ms) => {
+    let current = null;
+    for (const entry of table.entries) {
+      if (entry.time > ms) break;
+      current = entry;
+    }
+    return current;
+  };
+
+  // TAI - UTC in seconds, before 1972 UTC wasn't kept in whole seconds, so
+  // the first offset is used
+  const taiMinusUtc = (ms) => (entryAt(ms) || table.entries[0]).taiMinusUtc;
+
+  // the next leap second listed after `ms`, or null
+  const pending = (ms) => {
+    const index = table.entries.findIndex((entry) => entry.time > ms);
+    if (index === -1) return null;
+    const entry = table.entries[index];
+    const previous = table.entries[index - 1];
+    return {
+      milliseconds: entry.time,
+      datetime: toISOString(entry.time),
+      taiMinusUtc: entry.taiMinusUtc,
+      change: previous ? entry.taiMinusUtc - previous.taiMinusUtc : 0,
+    };
+  };
+
+  // the pending leap second, if it is at the end of the current UTC day, when
+  // NTP servers set their leap indicator and WebSocket clients are told
+  const imminent = (ms) => {
+    const next = pending(ms);
+    if (!next || next.change === 0) return null;
+    return next.milliseconds - ms <= 24 * 60 * 60 * 1000 ? next : null;
+  };
+
+  const isExpired = (ms) => ms >= table.expires;
+
+  // time `ms` on the given scale, as milliseconds past 1970-01-01T00:00:00 on
+  // that scale, so the same calendar arithmetic works on all of them
+  const convert = (ms, scale) => {
+    if (scale === "tai") return ms + taiMinusUtc(ms) * 1000;
+    if (scale === "gps") return ms + (taiMinusUtc(ms) - TAI_MINUS_GPS) * 1000;
+    return ms;
+  };
+
+  // everything about time `ms` on the given scale, for /api/time
+  const describeScale = (ms, scale) => {
+    const offset = taiMinusUtc(ms);
+    const time = convert(ms, scale);
+    return {
+      scale,
+      milliseconds: time,
+      datetime: scale === "utc" ? toISOString(time) : toScaleString(time),
+      taiMinusUtc: offset,
+      gpsMinusUtc: offset - TAI_MINUS_GPS,
+      ...(scale === "gps" && {
+        gpsWeek: Math.floor((time - GPS_EPOCH) / GPS_WEEK),
+        gpsSecondsOfWeek: ((time - GPS_EPOCH) % GPS_WEEK) / 1000,
+      }),
+      pendingLeapSecond: pending(ms),
+      expires: toISOString(table.expires),
+      expired: isExpired(ms),
+    };
+  };
+
+  // the whole table, for /api/leap-seconds
+  const describe = (ms) => ({
+    taiMinusUtc: taiMinusUtc(ms),
+    gpsMinusUtc: taiMinusUtc(ms) - TAI_MINUS_GPS,
+    pendingLeapSecond: pending(ms),
+    expires: toISOString(table.expires),
+    expired: isExpired(ms),
+    source: table.source,
+    leapSeconds: table.entries.map((entry) => ({
+      milliseconds: entry.time,
+      datetime: toISOString(entry.time),
+      taiMinusUtc: entry.taiMinusUtc,
+    })),
+  });
+
+  // re-read the leap seconds file, keeping the current table if it can't be
+  // read, so a bad update doesn't lose the leap seconds we know about
+  const reload = () => {
+    if (!file) return;
+    table = parseLeapSecondsList(fs.readFileSync(file, "utf8"));
+  };
+
+  reload();
+
+  return {
+    reload,
+    taiMinusUtc,
+    pending,
+    imminent,
+    isExpired,
+    convert,
+    describeScale,
+    describe,
+  };
+};
+
+module.exports = {
+  SCALES,
+  TAI_MINUS_GPS,
+  parseLeapSecondsList,
+  createLeapSecondTable,
+};
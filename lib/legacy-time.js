@@ -0,0 +1,109 @@
+// Daytime (RFC 867) and Time (RFC 868) servers, over both TCP and UDP, for
+// old devices that can't use NTP. Both answer from the same clock as the
+// /api/time endpoint.
+
+const dgram = require("dgram");
+const net = require("net");
+
+// seconds between the Time protocol epoch (1900) and the Unix epoch (1970)
+const TIME_EPOCH_OFFSET = 2208988800;
+
+// Daytime has no fixed format, this one is human readable and unambiguous,
+// e.g "Mon, 19 Oct 2026 08:30:00 GMT"
+const daytimeReply = (ms) => Buffer.from(`${new Date(ms).toUTCString()}\r\n`);
+
+// Time is a 32 bit count of seconds since 1900, which wraps in 2036
+const timeReply = (ms) => {
+  const buffer = Buffer.alloc(4);
+  buffer.writeUInt32BE(
+    (Math.floor(ms / 1000) + TIME_EPOCH_OFFSET) % 0x100000000
+  );
+  return buffer;
+};
+
+const PROTOCOLS = {
+  daytime: { name: "Daytime", reply: daytimeReply },
+  time: { name: "Time", reply: timeReply },
+};
+
+// fixed window request counter per IP address, like perIpLimiter in
+// lib/create-app.js
+const createIpLimiter = ({ windowMs, max }) => {
+  let counts = new Map();
+  const timer = setInterval(() => {
+    counts = new Map();
+  }, windowMs);
+  timer.unref();
+
+  return {
+    allow: (address) => {
+      // IPv4 clients over TCP show up as IPv4-mapped IPv6 addresses
+      const ip = String(address).replace(/^::ffff:/, "");
+      const count = (counts.get(ip) || 0) + 1;
+      counts.set(ip, count);
+      return count <= max;
+    },
+    stop: () => clearInterval(timer),
+  };
+};
+
+// `protocol` is "daytime" or "time", requests over the limit are dropped
+// without a reply
+const createLegacyTimeServer = ({
+  protocol,
+  windowMs = 60 * 1000,
+  maxPerIp = 50,
+  log = console,
+}) => {
+  const { name, reply } = PROTOCOLS[protocol];
+  const limiter = createIpLimiter({ windowMs, max: maxPerIp });
+
+  // TCP, reply as soon as a client connects then close the connection
+  const tcpServer = net.createServer((socket) => {
+    socket.on("error", () => {});
+    if (!limiter.allow(socket.remoteAddress)) {
+      socket.destroy();
+      return;
+    }
+    socket.end(reply(Date.now()));
+  });
+
+  // UDP, reply to any datagram, its contents are ignored
+  const udpSocket = dgram.createSocket("udp4");
+  udpSocket.on("message", (msg, rinfo) => {
+    if (!limiter.allow(rinfo.address)) return;
+    udpSocket.send(reply(Date.now()), rinfo.port, rinfo.address);
+  });
+
+  for (const emitter of [tcpServer, udpSocket]) {
+    emitter.on("error", (err) => {
+      log.error(`${name} server error`, { error: err });
+    });
+  }
+
+  return {
+    name,
+
+    // callback once listening on both TCP and UDP
+    listen: (port, host, callback) => {
+      let pending = 2;
+      const done = () => {
+        if (--pending === 0 && callback) callback();
+      };
+      tcpServer.listen(port, host, done);
+      udpSocket.bind(port, host, done);
+    },
+
+    close: (callback) => {
+      limiter.stop();
+      let pending = 2;
+      const done = () => {
+        if (--pending === 0 && callback) callback();
+      };
+      tcpServer.close(done);
+      udpSocket.close(done);
+    },
+  };
+};
+
+module.exports = { createLegacyTimeServer };
@@ -0,0 +1,159 @@
+// Structured JSON logging, one object per line
+//
+//   {"time":"2026-10-19T08:30:00.000Z","level":"info","log":"app","msg":"Server running","port":3007}
+//
+// The server keeps three logs, see createLoggers(): `app` for its own
+// messages, `access` for each HTTP request and `sync` for upstream clock
+// sync events. With a log directory each goes to its own file, rotated by
+// size, otherwise they are written to stdout, and errors and warnings to
+// stderr.
+
+const fs = require("fs");
+const path = require("path");
+
+const LEVELS = ["error", "warn", "info", "debug"];
+
+// errors don't serialize to JSON by themselves
+const replacer = (key, value) =>
+  value instanceof Error
+    ? { name: value.name, message: value.message, stack: value.stack }
+    : value;
+
+const consoleOutput = {
+  write: (line, level) =>
+    (level === "error" || level === "warn"
+      ? process.stderr
+      : process.stdout
+    ).write(line),
+  close: (callback) => callback(),
+};
+
+// a file that is renamed to file.1 once it would grow past `maxSize` bytes,
+// older files move up to file.2 and so on, keeping `maxFiles` of them
+// if the file can't be written, e.g the disk is full or the log directory was
+// removed, that is reported once and the lines go to the console instead
+const createRotatingFile = ({ file, maxSize, maxFiles }) => {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+
+  let size = 0;
+  try {
+    size = fs.statSync(file).size;
+  } catch {}
+
+  let failed = false;
+  const open = () => {
+    const opened = fs.createWriteStream(file, { flags: "a" });
+    opened.on("error", (err) => {
+      if (failed) return;
+      failed = true;
+      process.stderr.write(
+        `Could not write ${file}, logging to the console instead: ${err.message}\n`
+      );
+    });
+    return opened;
+  };
+  let stream = open();
+  let closed = false;
+
+  // writes already queued on the old stream still land in the renamed file
+  const rotate = () => {
+    stream.end();
+    fs.rmSync(`${file}.${maxFiles}`, { force: true });
+    for (let i = maxFiles - 1; i >= 1; i--) {
+      if (fs.existsSync(`${file}.${i}`)) {
+        fs.renameSync(`${file}.${i}`, `${file}.${i + 1}`);
+      }
+    }
+    if (maxFiles > 0) fs.renameSync(file, `${file}.1`);
+    else fs.rmSync(file, { force: true });
+    stream = open();
+    size = 0;
+  };
+
+  return {
+    // lines logged after close(), e.g while shutting down, are dropped
+    write: (line, level) => {
+      if (closed) return;
+      if (failed) return consoleOutput.write(line, level);
+      const bytes = Buffer.byteLength(line);
+      if (size > 0 && size + bytes > maxSize) {
+        try {
+          rotate();
+        } catch (err) {
+          process.stderr.write(`Could not rotate ${file}: ${err.message}\n`);
+        }
+      }
+      stream.write(line);
+      size += bytes;
+    },
+    close: (callback) => {
+      closed = true;
+      if (failed) callback();
+      else stream.end(callback);
+    },
+  };
+};
+
+// `name` is the `log` field of each line, `file` is optional, messages
+// below `level` are dropped
+const createLogger = ({
+  name = "app",
+  level = "info",
+  file = null,
+  maxSize = 10 * 1024 * 1024,
+  maxFiles = 5,
+} = {}) => {
+  const threshold = LEVELS.indexOf(level);
+  const output = file
+    ? createRotatingFile({ file, maxSize, maxFiles })
+    : consoleOutput;
+
+  const log = (lineLevel, msg, fields = {}) => {
+    if (LEVELS.indexOf(lineLevel) > threshold) return;
+    const line = JSON.stringify(
+      {
+        time: new Date().toISOString(),
+        level: lineLevel,
+        log: name,
+        msg,
+        ...fields,
+      },
+      replacer
+    );
+    output.write(`${line}\n`, lineLevel);
+  };
+
+  const logger = { close: (callback = () => {}) => output.close(callback) };
+  for (const lineLevel of LEVELS) {
+    logger[lineLevel] = (msg, fields) => log(lineLevel, msg, fields);
+  }
+  return logger;
+};
+
+// the app, access and sync logs from the `logging` settings, see lib/config.js
+const createLoggers = ({ level, dir, maxSize, maxFiles }) => {
+  const loggers = {};
+  for (const name of ["app", "access", "sync"]) {
+    loggers[name] = createLogger({
+      name,
+      level,
+      file: dir ? path.join(dir, `${name}.log`) : null,
+      maxSize,
+      maxFiles,
+    });
+  }
+  return loggers;
+};
+
+// close every logger, flushing their files
+const closeLoggers = (loggers, callback = () => {}) => {
+  const all = Object.values(loggers);
+  let pending = all.length;
+  for (const logger of all) {
+    logger.close(() => {
+      if (--pending === 0) callback();
+    });
+  }
+};
+
+module.exports = { LEVELS, createLogger, createLoggers, closeLoggers };
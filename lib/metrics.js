@@ -0,0 +1,145 @@
+// Prometheus metrics for the time server, served at /metrics
+//
+// Counts requests, rate limiting and CORS rejections as they happen, and reads
+// uptime and the upstream sync status when scraped.
+
+const client = require("prom-client");
+
+// /api/time should answer in well under a millisecond, queueing is the
+// interesting part
+const TIME_LATENCY_BUCKETS = [
+  0.0001, 0.00025, 0.0005, 0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25,
+  1,
+];
+
+const seconds = (ms) => ms / 1000;
+
+// the route that handled an answered request, static files and unknown paths
+// are grouped together, also used by the access log
+const routeOf = (req, res) =>
+  req.route
+    ? req.baseUrl + req.route.path
+    : res.statusCode === 404
+    ? "not_found"
+    : "static";
+
+// `upstreamMonitor` is the monitor from lib/upstream.js, its sync status is
+// only exported when it has upstream servers configured
+const createMetrics = ({ upstreamMonitor }) => {
+  const registry = new client.Registry();
+  client.collectDefaultMetrics({ register: registry });
+
+  const requests = new client.Counter({
+    name: "realclock_http_requests_total",
+    help: "HTTP requests by route, method and status code",
+    labelNames: ["route", "method", "status"],
+    registers: [registry],
+  });
+
+  const timeLatency = new client.Histogram({
+    name: "realclock_time_request_duration_seconds",
+    help: "Time from receiving an /api/time request to finishing the response",
+    buckets: TIME_LATENCY_BUCKETS,
+    registers: [registry],
+  });
+
+  const rateLimited = new client.Counter({
+    name: "realclock_rate_limited_total",
+    help: "Requests rejected with 429 Too Many Requests, by rate limiter",
+    labelNames: ["limiter"],
+    registers: [registry],
+  });
+
+  const corsRejections = new client.Counter({
+    name: "realclock_cors_rejections_total",
+    help: "Requests from origins not in ALLOWED_ORIGINS, by transport",
+    labelNames: ["transport"],
+    registers: [registry],
+  });
+
+  new client.Gauge({
+    name: "realclock_uptime_seconds",
+    help: "Seconds since the server process started",
+    registers: [registry],
+    collect() {
+      this.set(process.uptime());
+    },
+  });
+
+  if (upstreamMonitor.status().synchronized !== null) {
+    // gauges that read a field of the upstream status when scraped, unknown
+    // values are NaN
+    const statusGauge = (name, help, read) =>
+      new client.Gauge({
+        name,
+        help,
+        registers: [registry],
+        collect() {
+          const value = read(upstreamMonitor.status());
+          this.set(value === null ? NaN : value);
+        },
+      });
+
+    statusGauge(
+      "realclock_upstream_synchronized",
+      "1 when our clock agrees with upstream NTP servers within UPSTREAM_MAX_ERROR_MS",
+      (status) => (status.synchronized ? 1 : 0)
+    );
+    statusGauge(
+      "realclock_upstream_estimated_error_seconds",
+      "Estimated error of our clock against upstream NTP servers",
+      (status) =>
+        status.estimatedErrorMs === null
+          ? null
+          : seconds(status.estimatedErrorMs)
+    );
+    statusGauge(
+      "realclock_upstream_offset_seconds",
+      "Offset of the selected upstream NTP server from our clock",
+      (status) => (status.offsetMs === null ? null : seconds(status.offsetMs))
+    );
+    statusGauge(
+      "realclock_upstream_last_sync_age_seconds",
+      "Seconds since the last good reply from an upstream NTP server",
+      (status) =>
+        status.lastSyncAgeMs === null ? null : seconds(status.lastSyncAgeMs)
+    );
+
+    new client.Gauge({
+      name: "realclock_upstream_peer_reachable",
+      help: "1 when the upstream NTP server answered its last poll",
+      labelNames: ["host"],
+      registers: [registry],
+      collect() {
+        this.reset();
+        for (const peer of upstreamMonitor.status().upstream) {
+          this.set({ host: peer.host }, peer.reachable ? 1 : 0);
+        }
+      },
+    });
+  }
+
+  return {
+    // count every request once it has been answered, by the route that
+    // handled it, static files and unknown paths are grouped together
+    middleware: (req, res, next) => {
+      const start = process.hrtime.bigint();
+      res.on("finish", () => {
+        const route = routeOf(req, res);
+        requests.inc({ route, method: req.method, status: res.statusCode });
+        if (route === "/api/time") {
+          timeLatency.observe(Number(process.hrtime.bigint() - start) / 1e9);
+        }
+      });
+      next();
+    },
+
+    rateLimited: (limiter) => rateLimited.inc({ limiter }),
+    corsRejected: (transport) => corsRejections.inc({ transport }),
+
+    contentType: registry.contentType,
+    metrics: () => registry.metrics(),
+  };
+};
+
+module.exports = { routeOf, createMetrics };
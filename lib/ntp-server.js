@@ -0,0 +1,79 @@
+// SNTP server (RFC 4330), answers NTP client requests over UDP using the
+// same clock as the /api/time endpoint
+
+const dgram = require("dgram");
+const ntp = require("./ntp");
+
+// Date.now() has millisecond resolution, log2(0.001) is about -10
+const PRECISION = -10;
+
+// With nothing to say the clock is synchronized, replies say it isn't, as an
+// NTP server does before its first sync
+const defaultStatus = () => ({
+  leap: ntp.LEAP_UNSYNCHRONIZED,
+  stratum: 16,
+  refId: "INIT",
+  rootDelay: 0,
+  rootDispersion: 0,
+  referenceTime: null,
+});
+
+// An operator who knows the system clock is disciplined, e.g by chrony
+// against internet servers, gives the stratum and reference ID to advertise,
+// with a few milliseconds of accumulated error
+const configuredStatus = ({ stratum, refId }) => ({
+  leap: ntp.LEAP_NONE,
+  stratum,
+  refId,
+  rootDelay: 20,
+  rootDispersion: 10,
+  referenceTime: Date.now(),
+});
+
+// `status` is called for every reply, so the advertised stratum, reference ID
+// and error estimates can follow the server's current sync state
+// `log` is a logger from lib/logger.js, or console
+const createNtpServer = ({ status = defaultStatus, log = console } = {}) => {
+  const socket = dgram.createSocket("udp4");
+
+  socket.on("message", (msg, rinfo) => {
+    const receiveTime = Date.now();
+
+    const request = ntp.parsePacket(msg);
+    if (!request || request.mode !== ntp.MODE_CLIENT) return;
+    if (request.version < 1 || request.version > 4) return;
+
+    const current = { ...defaultStatus(), ...status() };
+    const reply = ntp.buildPacket({
+      leap: current.leap,
+      version: request.version,
+      mode: ntp.MODE_SERVER,
+      stratum: current.stratum,
+      poll: request.poll,
+      precision: PRECISION,
+      rootDelay: current.rootDelay,
+      rootDispersion: current.rootDispersion,
+      refId: current.refId,
+      referenceTime: current.referenceTime,
+      originateTimestamp: request.transmitTimestamp,
+      receiveTime,
+      // stamped last, as close as possible to the packet leaving
+      transmitTime: Date.now(),
+    });
+
+    socket.send(reply, rinfo.port, rinfo.address);
+  });
+
+  socket.on("error", (err) => {
+    log.error("NTP server error", { error: err });
+  });
+
+  return {
+    listen: (port, host, callback) => socket.bind(port, host, callback),
+    // as for net.Server, e.g the port picked when listening on port 0
+    address: () => socket.address(),
+    close: (callback) => socket.close(callback),
+  };
+};
+
+module.exports = { createNtpServer, configuredStatus };
@@ -0,0 +1,216 @@
+// NTP packet encoding and decoding, see RFC 5905
+//
+// Times are handled in milliseconds past Unix epoch, like Date.now(), and
+// converted to and from the 64 bit NTP timestamp format on the wire.
+
+const crypto = require("crypto");
+const dgram = require("dgram");
+const net = require("net");
+
+// seconds from the NTP epoch (1900-01-01) to the Unix epoch (1970-01-01)
+const NTP_EPOCH_OFFSET = 2208988800;
+
+const PACKET_LENGTH = 48;
+
+const MODE_CLIENT = 3;
+const MODE_SERVER = 4;
+
+const LEAP_NONE = 0;
+const LEAP_ADD_SECOND = 1;
+const LEAP_DELETE_SECOND = 2;
+const LEAP_UNSYNCHRONIZED = 3;
+
+// write milliseconds past Unix epoch as a 64 bit NTP timestamp
+const writeTimestamp = (buf, offset, ms) => {
+  const totalSeconds = Math.floor(ms / 1000);
+  const fraction = Math.min(
+    Math.round(((ms - totalSeconds * 1000) / 1000) * 2 ** 32),
+    2 ** 32 - 1
+  );
+  // NTP seconds wrap every 136 years, the next era begins in 2036
+  const seconds = (totalSeconds + NTP_EPOCH_OFFSET) % 2 ** 32;
+  buf.writeUInt32BE(seconds, offset);
+  buf.writeUInt32BE(fraction, offset + 4);
+};
+
+// read a 64 bit NTP timestamp as milliseconds past Unix epoch, null if unset
+const readTimestamp = (buf, offset) => {
+  const seconds = buf.readUInt32BE(offset);
+  const fraction = buf.readUInt32BE(offset + 4);
+  if (seconds === 0 && fraction === 0) return null;
+
+  // assume timestamps with the top bit clear belong to the era starting in 2036
+  const era = seconds < 0x80000000 ? 2 ** 32 : 0;
+  return (
+    (seconds + era - NTP_EPOCH_OFFSET) * 1000 + (fraction / 2 ** 32) * 1000
+  );
+};
+
+// 32 bit short format, 16 bits of seconds and 16 bits of fraction
+const writeShort = (buf, offset, ms) => {
+  const value = Math.round((Math.max(0, ms) / 1000) * 2 ** 16);
+  buf.writeUInt32BE(Math.min(value, 2 ** 32 - 1), offset);
+};
+
+const readShort = (buf, offset) => (buf.readUInt32BE(offset) / 2 ** 16) * 1000;
+
+// reference ID is an IPv4 address of the upstream server, the first four bytes
+// of the MD5 hash of an IPv6 address, or a four character ASCII code such as "GPS"
+const encodeRefId = (value) => {
+  const buf = Buffer.alloc(4);
+  if (net.isIPv6(value)) {
+    crypto.createHash("md5").update(value).digest().copy(buf, 0, 0, 4);
+  } else if (net.isIPv4(value)) {
+    value.split(".").forEach((octet, i) => buf.writeUInt8(Number(octet), i));
+  } else {
+    buf.write(String(value).slice(0, 4), "ascii");
+  }
+  return buf;
+};
+
+// stratum 1 servers give their reference source, and stratum 0 (kiss-o'-death)
+// and 16 (unsynchronized) packets a code such as "RATE" or "INIT", RFC 5905
+const decodeRefId = (buf, stratum) => {
+  if (stratum <= 1 || stratum === 16)
+    return buf.toString("ascii").replace(/\0+$/, "");
+  return Array.from(buf).join(".");
+};
+
+const parsePacket = (buf) => {
+  if (!Buffer.isBuffer(buf) || buf.length < PACKET_LENGTH) return null;
+
+  const first = buf.readUInt8(0);
+  const stratum = buf.readUInt8(1);
+  return {
+    leap: first >> 6,
+    version: (first >> 3) & 0x07,
+    mode: first & 0x07,
+    stratum,
+    poll: buf.readInt8(2),
+    precision: buf.readInt8(3),
+    rootDelay: readShort(buf, 4),
+    rootDispersion: readShort(buf, 8),
+    refId: decodeRefId(buf.subarray(12, 16), stratum),
+    referenceTime: readTimestamp(buf, 16),
+    originateTime: readTimestamp(buf, 24),
+    receiveTime: readTimestamp(buf, 32),
+    transmitTime: readTimestamp(buf, 40),
+    // kept verbatim, servers copy it into the originate field of their reply
+    transmitTimestamp: Buffer.from(buf.subarray(40, 48)),
+  };
+};
+
+// build a 48 byte packet, `originateTimestamp` is copied verbatim if given
+const buildPacket = ({
+  leap = LEAP_NONE,
+  version = 4,
+  mode,
+  stratum = 0,
+  poll = 0,
+  precision = 0,
+  rootDelay = 0,
+  rootDispersion = 0,
+  refId = "",
+  referenceTime = null,
+  originateTimestamp = null,
+  receiveTime = null,
+  transmitTime = null,
+}) => {
+  const buf = Buffer.alloc(PACKET_LENGTH);
+  buf.writeUInt8(
+    ((leap & 0x03) << 6) | ((version & 0x07) << 3) | (mode & 0x07),
+    0
+  );
+  buf.writeUInt8(stratum, 1);
+  buf.writeInt8(poll, 2);
+  buf.writeInt8(precision, 3);
+  writeShort(buf, 4, rootDelay);
+  writeShort(buf, 8, rootDispersion);
+  (Buffer.isBuffer(refId) ? refId : encodeRefId(refId)).copy(buf, 12, 0, 4);
+  if (referenceTime !== null) writeTimestamp(buf, 16, referenceTime);
+  if (originateTimestamp) originateTimestamp.copy(buf, 24, 0, 8);
+  if (receiveTime !== null) writeTimestamp(buf, 32, receiveTime);
+  if (transmitTime !== null) writeTimestamp(buf, 40, transmitTime);
+  return buf;
+};
+
+// send a single client request and resolve with the measured offset and
+// round trip delay, in milliseconds, along with the server's own status
+const query = (host, port = 123, { timeout = 2000 } = {}) =>
+  new Promise((resolve, reject) => {
+    const socket = dgram.createSocket(net.isIPv6(host) ? "udp6" : "udp4");
+    let originateTime;
+    let done = false;
+
+    const timer = setTimeout(() => {
+      finish(new Error(`NTP request to ${host}:${port} timed out`));
+    }, timeout);
+
+    const finish = (err, result) => {
+      if (done) return;
+      done = true;
+      clearTimeout(timer);
+      socket.close();
+      if (err) reject(err);
+      else resolve(result);
+    };
+
+    socket.on("error", (err) => finish(err));
+
+    socket.on("message", (msg, rinfo) => {
+      const destinationTime = Date.now();
+      const reply = parsePacket(msg);
+
+      // ignore anything that is not the reply to our request
+      if (!reply || reply.mode !== MODE_SERVER) return;
+      if (reply.originateTime !== originateTime) return;
+
+      // stratum 0 is a kiss-o'-death, the reference ID holds the reason
+      if (reply.stratum === 0) {
+        finish(new Error(`NTP server ${host} sent kiss code ${reply.refId}`));
+        return;
+      }
+
+      const { receiveTime, transmitTime } = reply;
+      finish(null, {
+        address: rinfo.address,
+        offset:
+          (receiveTime - originateTime + (transmitTime - destinationTime)) / 2,
+        delay: destinationTime - originateTime - (transmitTime - receiveTime),
+        leap: reply.leap,
+        stratum: reply.stratum,
+        refId: reply.refId,
+        rootDelay: reply.rootDelay,
+        rootDispersion: reply.rootDispersion,
+        referenceTime: reply.referenceTime,
+      });
+    });
+
+    // round trip the transmit time through the packet encoding, so it can be
+    // compared exactly with the originate time echoed back by the server
+    const request = buildPacket({
+      mode: MODE_CLIENT,
+      transmitTime: Date.now(),
+    });
+    originateTime = readTimestamp(request, 40);
+    socket.send(request, port, host, (err) => {
+      if (err) finish(err);
+    });
+  });
+
+module.exports = {
+  NTP_EPOCH_OFFSET,
+  PACKET_LENGTH,
+  MODE_CLIENT,
+  MODE_SERVER,
+  LEAP_NONE,
+  LEAP_ADD_SECOND,
+  LEAP_DELETE_SECOND,
+  LEAP_UNSYNCHRONIZED,
+  writeTimestamp,
+  readTimestamp,
+  encodeRefId,
+  parsePacket,
+  buildPacket,
+  query,
+};
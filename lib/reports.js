@@ -0,0 +1,150 @@
+// Anonymous client clock error reports, aggregated into histograms
+//
+// Clock pages that opt in POST the offset they measured for the visitor's
+// clock, its error bound and the browser family. Only counts are kept, in one
+// slot per hour for the last week, nothing that identifies the visitor.
+//
+// Optionally kept in a JSON file, saved every few minutes and on close(), so
+// restarting the server doesn't lose the week.
+
+const fs = require("fs");
+
+const HOUR = 60 * 60 * 1000;
+const RETENTION = 7 * 24 * HOUR;
+const SAVE_INTERVAL = 5 * 60 * 1000;
+
+// upper edges of the histogram bins, the last bin is everything above
+const OFFSET_EDGES = [0.05, 0.1, 0.25, 0.5, 1, 2, 5, 10, 30, 60, 600, 3600];
+const ERROR_BOUND_EDGES = [1, 2, 5, 10, 20, 50, 100, 200, 500, 1000];
+
+const FAMILIES = ["chrome", "edge", "firefox", "safari", "opera", "samsung"];
+
+// reports with larger offsets or error bounds are not a working clock
+const MAX_OFFSET = 366 * 24 * HOUR;
+const MAX_ERROR_BOUND = 10 * 1000;
+
+const binIndex = (edges, value) => {
+  const index = edges.findIndex((edge) => value <= edge);
+  return index === -1 ? edges.length : index;
+};
+
+const emptySlot = (hour) => ({
+  hour,
+  count: 0,
+  ahead: new Array(OFFSET_EDGES.length + 1).fill(0),
+  behind: new Array(OFFSET_EDGES.length + 1).fill(0),
+  errorBound: new Array(ERROR_BOUND_EDGES.length + 1).fill(0),
+  families: {},
+});
+
+// a report as sent by the client, or null if it is invalid
+// `offset` and `errorBound` are in milliseconds, +ve offset means the clock is
+// running behind, as in the sync library
+const parseReport = (body) => {
+  if (!body || typeof body !== "object") return null;
+  const { offset, errorBound, family } = body;
+  if (!Number.isFinite(offset) || Math.abs(offset) > MAX_OFFSET) return null;
+  if (
+    !Number.isFinite(errorBound) ||
+    errorBound < 0 ||
+    errorBound > MAX_ERROR_BOUND
+  ) {
+    return null;
+  }
+  return {
+    offset,
+    errorBound,
+    family: FAMILIES.includes(family) ? family : "other",
+  };
+};
+
+// `file` is optional, and read once at startup
+const createReportStore = ({ file = null, log = console } = {}) => {
+  let slots = [];
+  let changed = false;
+
+  const prune = (now) => {
+    slots = slots.filter((slot) => slot.hour > now - RETENTION);
+  };
+
+  if (file) {
+    try {
+      slots = JSON.parse(fs.readFileSync(file, "utf8")).slots;
+      if (!Array.isArray(slots)) throw new Error("it has no slots");
+    } catch (err) {
+      if (err.code !== "ENOENT") {
+        throw new Error(`Could not read REPORTS_FILE: ${err.message}`);
+      }
+      slots = [];
+    }
+    prune(Date.now());
+  }
+
+  const save = () => {
+    if (!file || !changed) return;
+    try {
+      const temp = `${file}.${process.pid}.tmp`;
+      fs.writeFileSync(temp, JSON.stringify({ slots }));
+      fs.renameSync(temp, file);
+      changed = false;
+    } catch (err) {
+      log.warn("Could not save REPORTS_FILE", { error: err.message });
+    }
+  };
+
+  const saveTimer = file ? setInterval(save, SAVE_INTERVAL) : null;
+  if (saveTimer) saveTimer.unref();
+
+  // add a report parsed by parseReport()
+  const add = ({ offset, errorBound, family }, now = Date.now()) => {
+    const hour = Math.floor(now / HOUR) * HOUR;
+    let slot = slots[slots.length - 1];
+    if (!slot || slot.hour !== hour) {
+      prune(now);
+      slot = emptySlot(hour);
+      slots.push(slot);
+    }
+
+    slot.count++;
+    const bin = binIndex(OFFSET_EDGES, Math.abs(offset) / 1000);
+    if (offset > 0) slot.behind[bin]++;
+    else slot.ahead[bin]++;
+    slot.errorBound[binIndex(ERROR_BOUND_EDGES, errorBound)]++;
+    slot.families[family] = (slot.families[family] || 0) + 1;
+    changed = true;
+  };
+
+  // totals over the last `period` milliseconds
+  const summarize = (period, now) => {
+    const total = emptySlot(null);
+    for (const slot of slots) {
+      if (slot.hour <= now - period) continue;
+      total.count += slot.count;
+      slot.ahead.forEach((n, i) => (total.ahead[i] += n));
+      slot.behind.forEach((n, i) => (total.behind[i] += n));
+      slot.errorBound.forEach((n, i) => (total.errorBound[i] += n));
+      for (const [family, n] of Object.entries(slot.families)) {
+        total.families[family] = (total.families[family] || 0) + n;
+      }
+    }
+    const { hour, ...summary } = total;
+    return summary;
+  };
+
+  // the distribution over the last day and week, as served by /api/stats
+  const describe = (now = Date.now()) => ({
+    offsetEdges: OFFSET_EDGES,
+    errorBoundEdges: ERROR_BOUND_EDGES,
+    day: summarize(24 * HOUR, now),
+    week: summarize(RETENTION, now),
+  });
+
+  const close = () => {
+    clearInterval(saveTimer);
+    save();
+  };
+
+  return { add, describe, close };
+};
+
+module.exports = { FAMILIES, parseReport, createReportStore };
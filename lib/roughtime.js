@@ -0,0 +1,290 @@
+// Roughtime server, authenticated time following Google's original Roughtime
+// protocol (https://roughtime.googlesource.com/roughtime)
+//
+// Each reply is signed, and includes the client's random nonce, so it can't be
+// forged or replayed by anyone on the path. Requests that arrive together are
+// answered as a batch, the nonces are the leaves of a Merkle tree and only its
+// root is signed, so one signature covers the whole batch.
+//
+// The long-term key signs a delegation to an online key, which is generated at
+// startup and replaced every day, and the online key signs the replies.
+
+const crypto = require("crypto");
+const dgram = require("dgram");
+
+// requests are padded to at least this size, so replies are never larger
+// than requests and the server can't be used to amplify traffic
+const MIN_REQUEST_SIZE = 1024;
+
+const NONCE_SIZE = 64;
+
+const RESPONSE_CONTEXT = Buffer.from("RoughTime v1 response signature\0");
+const DELEGATION_CONTEXT = Buffer.from("RoughTime v1 delegation signature--\0");
+
+// how long each online key is used for, its delegation is valid for a while
+// either side of that to allow for clients with a bad clock
+const KEY_ROTATION_INTERVAL = 24 * 60 * 60 * 1000;
+const DELEGATION_MARGIN = 24 * 60 * 60 * 1000;
+
+// PKCS #8 DER prefix for a raw 32 byte Ed25519 private key
+const ED25519_PKCS8_PREFIX = Buffer.from(
+  "302e020100300506032b657004220420",
+  "hex"
+);
+
+// tags are 4 bytes, compared as little-endian 32 bit integers
+const tagBuffer = (tag) => Buffer.from(tag.padEnd(4, "\0"), "latin1");
+const tagValue = (tag) => tagBuffer(tag).readUInt32LE(0);
+const tagName = (buffer) => buffer.toString("latin1").replace(/\0+$/, "");
+
+// encode a message from [tag, value] pairs, values must be a multiple of
+// 4 bytes long
+const encodeMessage = (entries) => {
+  const sorted = [...entries].sort((a, b) => tagValue(a[0]) - tagValue(b[0]));
+  const count = sorted.length;
+  const header = Buffer.alloc(4 + 4 * Math.max(count - 1, 0) + 4 * count);
+
+  header.writeUInt32LE(count, 0);
+  let offset = 0;
+  sorted.forEach(([tag, value], i) => {
+    if (value.length % 4 !== 0) {
+      throw new Error(`Roughtime value for ${tag} is not a multiple of 4`);
+    }
+    if (i > 0) header.writeUInt32LE(offset, 4 * i);
+    tagBuffer(tag).copy(header, 4 * count + 4 * i);
+    offset += value.length;
+  });
+
+  return Buffer.concat([header, ...sorted.map(([, value]) => value)]);
+};
+
+// parse a message into a Map of tag to value, throws if it is malformed
+const parseMessage = (buffer) => {
+  if (buffer.length < 4) throw new Error("Roughtime message too short");
+  const count = buffer.readUInt32LE(0);
+  const headerSize = 4 + 4 * Math.max(count - 1, 0) + 4 * count;
+  if (count === 0 || headerSize > buffer.length) {
+    throw new Error("Roughtime message header is invalid");
+  }
+
+  const valuesSize = buffer.length - headerSize;
+  const offsets = [0];
+  for (let i = 1; i < count; i++) offsets.push(buffer.readUInt32LE(4 * i));
+  offsets.push(valuesSize);
+
+  const message = new Map();
+  let previousTag = -1;
+  for (let i = 0; i < count; i++) {
+    const start = offsets[i];
+    const end = offsets[i + 1];
+    const tagStart = 4 * count + 4 * i;
+    const tag = buffer.readUInt32LE(tagStart);
+    if (start % 4 !== 0 || end < start || end > valuesSize) {
+      throw new Error("Roughtime message offsets are invalid");
+    }
+    if (tag <= previousTag) {
+      throw new Error("Roughtime message tags are not in order");
+    }
+    previousTag = tag;
+    message.set(
+      tagName(buffer.subarray(tagStart, tagStart + 4)),
+      buffer.subarray(headerSize + start, headerSize + end)
+    );
+  }
+  return message;
+};
+
+const uint32 = (value) => {
+  const buffer = Buffer.alloc(4);
+  buffer.writeUInt32LE(value);
+  return buffer;
+};
+
+const uint64 = (value) => {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64LE(BigInt(value));
+  return buffer;
+};
+
+const sha512 = (...buffers) => {
+  const hash = crypto.createHash("sha512");
+  for (const buffer of buffers) hash.update(buffer);
+  return hash.digest();
+};
+
+const hashLeaf = (nonce) => sha512(Buffer.from([0]), nonce);
+const hashNode = (left, right) => sha512(Buffer.from([1]), left, right);
+
+// build a Merkle tree over the nonces, padded to a power of two leaves by
+// repeating the last one, returns the root and the path for each nonce
+const buildTree = (nonces) => {
+  let level = nonces.map(hashLeaf);
+  while (level.length & (level.length - 1)) {
+    level.push(level[level.length - 1]);
+  }
+
+  const paths = nonces.map(() => []);
+  while (level.length > 1) {
+    nonces.forEach((_, i) => {
+      const index = i >> paths[i].length;
+      paths[i].push(level[index ^ 1]);
+    });
+    const next = [];
+    for (let i = 0; i < level.length; i += 2) {
+      next.push(hashNode(level[i], level[i + 1]));
+    }
+    level = next;
+  }
+
+  return { root: level[0], paths };
+};
+
+// a private key from a raw 32 byte seed, as base64 or hex, or a PEM key
+const parsePrivateKey = (text) => {
+  const value = text.trim();
+  if (value.startsWith("-----BEGIN")) return crypto.createPrivateKey(value);
+
+  const seed = /^[0-9a-f]{64}$/i.test(value)
+    ? Buffer.from(value, "hex")
+    : Buffer.from(value, "base64");
+  if (seed.length !== 32) {
+    throw new Error("Roughtime private key must be 32 bytes, base64 or hex");
+  }
+  return crypto.createPrivateKey({
+    key: Buffer.concat([ED25519_PKCS8_PREFIX, seed]),
+    format: "der",
+    type: "pkcs8",
+  });
+};
+
+// raw 32 byte public key of an Ed25519 private key
+const rawPublicKey = (privateKey) =>
+  Buffer.from(
+    crypto.createPublicKey(privateKey).export({ format: "jwk" }).x,
+    "base64url"
+  );
+
+const sign = (context, message, key) =>
+  crypto.sign(null, Buffer.concat([context, message]), key);
+
+// `privateKey` is the long-term key, see parsePrivateKey()
+// `radius` is called for each batch, and gives the uncertainty of our clock
+// in milliseconds, `log` is a logger from lib/logger.js, or console
+const createRoughtimeServer = ({
+  privateKey,
+  radius = () => 1000,
+  log = console,
+}) => {
+  const longTermKey =
+    typeof privateKey === "string" ? parsePrivateKey(privateKey) : privateKey;
+  if (longTermKey.asymmetricKeyType !== "ed25519") {
+    throw new Error("Roughtime private key must be an Ed25519 key");
+  }
+
+  let onlineKey = null;
+  let certificate = null;
+
+  // generate a new online key, and sign a delegation to it
+  const rotateKey = () => {
+    const now = Date.now();
+    onlineKey = crypto.generateKeyPairSync("ed25519").privateKey;
+    const delegation = encodeMessage([
+      ["PUBK", rawPublicKey(onlineKey)],
+      ["MINT", uint64((now - DELEGATION_MARGIN) * 1000)],
+      [
+        "MAXT",
+        uint64((now + KEY_ROTATION_INTERVAL + DELEGATION_MARGIN) * 1000),
+      ],
+    ]);
+    certificate = encodeMessage([
+      ["DELE", delegation],
+      ["SIG", sign(DELEGATION_CONTEXT, delegation, longTermKey)],
+    ]);
+  };
+  rotateKey();
+  const rotationTimer = setInterval(rotateKey, KEY_ROTATION_INTERVAL);
+  rotationTimer.unref();
+
+  // requests waiting to be answered in the next batch
+  let batch = [];
+  let flushScheduled = false;
+
+  // answer every waiting request with one signature
+  const flush = () => {
+    const requests = batch;
+    batch = [];
+    flushScheduled = false;
+
+    const { root, paths } = buildTree(requests.map((r) => r.nonce));
+    const midpoint = Date.now();
+    const signedResponse = encodeMessage([
+      ["RADI", uint32(Math.max(1, Math.ceil(radius() * 1000)))],
+      ["MIDP", uint64(midpoint * 1000)],
+      ["ROOT", root],
+    ]);
+    const signature = sign(RESPONSE_CONTEXT, signedResponse, onlineKey);
+
+    requests.forEach(({ resolve }, i) => {
+      resolve(
+        encodeMessage([
+          ["SIG", signature],
+          ["PATH", Buffer.concat(paths[i])],
+          ["SREP", signedResponse],
+          ["CERT", certificate],
+          ["INDX", uint32(i)],
+        ])
+      );
+    });
+  };
+
+  // reply to a request, resolves with the reply, throws if the request is
+  // invalid, requests received in the same turn of the event loop are batched
+  const respond = async (request) => {
+    if (request.length < MIN_REQUEST_SIZE) {
+      throw new Error("Roughtime request is too short");
+    }
+    const nonce = parseMessage(request).get("NONC");
+    if (!nonce || nonce.length !== NONCE_SIZE) {
+      throw new Error("Roughtime request has no valid nonce");
+    }
+
+    return new Promise((resolve) => {
+      batch.push({ nonce, resolve });
+      if (!flushScheduled) {
+        flushScheduled = true;
+        setImmediate(flush);
+      }
+    });
+  };
+
+  // UDP, invalid requests are dropped without a reply
+  const socket = dgram.createSocket("udp4");
+  socket.on("message", (msg, rinfo) => {
+    respond(msg)
+      .then((reply) => socket.send(reply, rinfo.port, rinfo.address))
+      .catch(() => {});
+  });
+
+  socket.on("error", (err) => {
+    log.error("Roughtime server error", { error: err });
+  });
+
+  return {
+    // base64 long-term public key, for clients to verify replies with
+    publicKey: rawPublicKey(longTermKey).toString("base64"),
+    respond,
+    listen: (port, host, callback) => socket.bind(port, host, callback),
+    close: (callback) => {
+      clearInterval(rotationTimer);
+      socket.close(callback);
+    },
+  };
+};
+
+module.exports = {
+  MIN_REQUEST_SIZE,
+  encodeMessage,
+  parseMessage,
+  parsePrivateKey,
+  createRoughtimeServer,
+};
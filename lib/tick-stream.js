@@ -0,0 +1,123 @@
+// Server-Sent Events tick stream, served at /api/stream
+//
+// Sends an event at each UTC second boundary, or every `interval` seconds,
+// aligned so that e.g an interval of 60 ticks at the start of each minute:
+//
+//   event: tick
+//   data: { "milliseconds": 1760862000000, "datetime": "...", "transmit": 1760862000001, "server": { ... } }
+//
+// `milliseconds` is the second boundary, and `transmit` the time the event
+// was sent, so clients can also measure the one-way delay. With `tz` each
+// event also has the local time of that zone, as /api/time does.
+//
+// One timer drives every stream, it only runs while streams are open.
+
+// comment lines sent on quiet streams, so proxies don't drop them as idle
+const KEEPALIVE_INTERVAL = 15 * 1000;
+
+const MAX_INTERVAL = 3600;
+
+// `status` gives the server's sync status for each event, and `describeZone`
+// the time zone details, see lib/timezone.js
+const createTickStream = ({
+  status = () => null,
+  describeZone = () => null,
+  maxStreamsPerIp = 5,
+} = {}) => {
+  const streams = new Set();
+  const streamsPerIp = new Map();
+  let timer = null;
+
+  // `next` is the boundary the timer was set for, timers can fire a little
+  // early against the wall clock, or late when the event loop is busy, in
+  // which case missed boundaries are skipped
+  const tick = (next) => {
+    const now = Date.now();
+    if (now < next) {
+      timer = setTimeout(tick, next - now, next);
+      return;
+    }
+    const boundary = Math.floor(now / 1000) * 1000;
+    const seconds = boundary / 1000;
+
+    for (const stream of streams) {
+      if (seconds % stream.interval === 0) {
+        const event = {
+          milliseconds: boundary,
+          datetime: new Date(boundary).toISOString(),
+          server: status(),
+          ...(stream.timeZone && {
+            timezone: describeZone(stream.timeZone, boundary),
+          }),
+        };
+        // stamp the send time as late as possible, just before writing
+        event.transmit = Date.now();
+        stream.res.write(`event: tick\ndata: ${JSON.stringify(event)}\n\n`);
+        stream.lastWrite = event.transmit;
+      } else if (now - stream.lastWrite >= KEEPALIVE_INTERVAL) {
+        stream.res.write(": keepalive\n\n");
+        stream.lastWrite = now;
+      }
+    }
+
+    schedule();
+  };
+
+  const schedule = () => {
+    const now = Date.now();
+    const next = Math.floor(now / 1000) * 1000 + 1000;
+    timer = streams.size > 0 ? setTimeout(tick, next - now, next) : null;
+  };
+
+  // Express handler, `interval` and `tz` have been validated by the caller,
+  // returns false without answering when the IP address already has its
+  // maximum number of streams open
+  const open = (req, res, { interval = 1, timeZone = null } = {}) => {
+    const ip = req.ip;
+    const count = streamsPerIp.get(ip) || 0;
+    if (count >= maxStreamsPerIp) return false;
+    streamsPerIp.set(ip, count + 1);
+
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-store",
+      Connection: "keep-alive",
+      // don't let nginx buffer the events
+      "X-Accel-Buffering": "no",
+    });
+    res.write("retry: 1000\n\n");
+
+    const stream = { res, interval, timeZone, lastWrite: Date.now() };
+    streams.add(stream);
+    if (timer === null) schedule();
+
+    res.on("close", () => {
+      streams.delete(stream);
+      const remaining = streamsPerIp.get(ip) - 1;
+      if (remaining > 0) streamsPerIp.set(ip, remaining);
+      else streamsPerIp.delete(ip);
+      if (streams.size === 0) {
+        clearTimeout(timer);
+        timer = null;
+      }
+    });
+    return true;
+  };
+
+  // end every stream, clients will try to reconnect
+  const close = () => {
+    for (const stream of streams) stream.res.end();
+    clearTimeout(timer);
+    timer = null;
+  };
+
+  return {
+    open,
+    close,
+    get size() {
+      return streams.size;
+    },
+  };
+};
+
+module.exports = { MAX_INTERVAL, createTickStream };
@@ -0,0 +1,193 @@
+// Time zone conversion and DST metadata, using the IANA time zone database
+// built into Node's Intl support
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// how far either side of now to look for DST transitions
+const SEARCH_DAYS = 400;
+
+const formatters = new Map();
+
+// cached formatters, creating them is far slower than using them
+const getFormatter = (timeZone, locale = "en-US", options = {}) => {
+  const key = `${timeZone}|${locale}|${JSON.stringify(options)}`;
+  if (!formatters.has(key)) {
+    formatters.set(
+      key,
+      new Intl.DateTimeFormat(locale, { timeZone, ...options })
+    );
+  }
+  return formatters.get(key);
+};
+
+// canonical name of a time zone, or null if it isn't a known IANA zone
+const resolveTimeZone = (timeZone) => {
+  if (typeof timeZone !== "string" || timeZone === "") return null;
+  try {
+    return getFormatter(timeZone).resolvedOptions().timeZone;
+  } catch {
+    return null;
+  }
+};
+
+// the canonical `tz` query parameter of an API request, null without one,
+// or undefined once it has been answered with a 400 for a zone we don't know
+const parseTimeZone = (req, res) => {
+  if (req.query.tz === undefined) return null;
+  const timeZone = resolveTimeZone(req.query.tz);
+  if (timeZone) return timeZone;
+  res.status(400).json({
+    error: "Bad Request",
+    message: "The tz parameter must be an IANA time zone, e.g Europe/Berlin.",
+  });
+  return undefined;
+};
+
+const getParts = (timeZone, ms) => {
+  const parts = {};
+  const formatter = getFormatter(timeZone, "en-US", {
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  });
+  for (const { type, value } of formatter.formatToParts(ms)) {
+    parts[type] = Number(value);
+  }
+  return parts;
+};
+
+// offset from UTC in minutes, +ve east of Greenwich
+const getOffsetMinutes = (timeZone, ms) => {
+  const p = getParts(timeZone, ms);
+  const wallTime = Date.UTC(
+    p.year,
+    p.month - 1,
+    p.day,
+    p.hour,
+    p.minute,
+    p.second
+  );
+  return Math.round((wallTime - Math.floor(ms / 1000) * 1000) / 60000);
+};
+
+const formatOffset = (minutes) => {
+  const sign = minutes < 0 ? "-" : "+";
+  const abs = Math.abs(minutes);
+  const hours = String(Math.floor(abs / 60)).padStart(2, "0");
+  return `${sign}${hours}:${String(abs % 60).padStart(2, "0")}`;
+};
+
+// ISO 8601 local time with offset, e.g "2025-10-05T06:54:08.519+02:00"
+const formatLocalTime = (timeZone, ms) => {
+  const offset = getOffsetMinutes(timeZone, ms);
+  const local = new Date(ms + offset * 60000).toISOString().slice(0, -1);
+  return `${local}${formatOffset(offset)}`;
+};
+
+// short name such as "CEST", falling back to "GMT+9" style where no
+// abbreviation is in common use
+const getAbbreviation = (timeZone, ms) => {
+  let fallback = null;
+  for (const locale of ["en-US", "en-GB"]) {
+    const part = getFormatter(timeZone, locale, { timeZoneName: "short" })
+      .formatToParts(ms)
+      .find((p) => p.type === "timeZoneName");
+    if (!part) continue;
+    if (!/^(GMT|UTC)[+-]/.test(part.value)) return part.value;
+    fallback = fallback || part.value;
+  }
+  return fallback;
+};
+
+// find the instant the offset changes between two times with different
+// offsets, to the millisecond
+const bisectTransition = (timeZone, low, high) => {
+  const lowOffset = getOffsetMinutes(timeZone, low);
+  while (high - low > 1) {
+    const mid = Math.floor((low + high) / 2);
+    if (getOffsetMinutes(timeZone, mid) === lowOffset) low = mid;
+    else high = mid;
+  }
+  return {
+    milliseconds: high,
+    datetime: new Date(high).toISOString(),
+    utcOffsetBefore: formatOffset(lowOffset),
+    utcOffsetAfter: formatOffset(getOffsetMinutes(timeZone, high)),
+  };
+};
+
+// step a day at a time from `ms` in `direction` looking for an offset change
+const findTransition = (timeZone, ms, direction) => {
+  const startOffset = getOffsetMinutes(timeZone, ms);
+  let previous = ms;
+  for (let day = 1; day <= SEARCH_DAYS; day++) {
+    const time = ms + direction * day * DAY;
+    if (getOffsetMinutes(timeZone, time) !== startOffset) {
+      return direction > 0
+        ? bisectTransition(timeZone, previous, time)
+        : bisectTransition(timeZone, time, previous);
+    }
+    previous = time;
+  }
+  return null;
+};
+
+// transitions only need finding again once now moves outside them
+const transitionCache = new Map();
+
+const getTransitions = (timeZone, ms) => {
+  const cached = transitionCache.get(timeZone);
+  if (cached && ms >= cached.validFrom && ms < cached.validUntil) {
+    return cached;
+  }
+
+  const previous = findTransition(timeZone, ms, -1);
+  const next = findTransition(timeZone, ms, 1);
+  const entry = {
+    previous,
+    next,
+    validFrom: previous ? previous.milliseconds : ms,
+    validUntil: next ? next.milliseconds : ms + DAY,
+  };
+  transitionCache.set(timeZone, entry);
+  return entry;
+};
+
+// everything about the given zone at time `ms`, milliseconds past Unix epoch
+// `timeZone` should already have been checked with resolveTimeZone()
+const describeTimeZone = (timeZone, ms) => {
+  const offset = getOffsetMinutes(timeZone, ms);
+
+  // standard time is the lower of the winter and summer offsets, either
+  // hemisphere, zones without DST have the same offset all year
+  const year = new Date(ms).getUTCFullYear();
+  const standardOffset = Math.min(
+    getOffsetMinutes(timeZone, Date.UTC(year, 0, 1)),
+    getOffsetMinutes(timeZone, Date.UTC(year, 6, 1))
+  );
+
+  const { previous, next } = getTransitions(timeZone, ms);
+
+  return {
+    name: timeZone,
+    localTime: formatLocalTime(timeZone, ms),
+    utcOffset: formatOffset(offset),
+    utcOffsetMinutes: offset,
+    abbreviation: getAbbreviation(timeZone, ms),
+    dst: offset > standardOffset,
+    previousTransition: previous,
+    nextTransition: next,
+  };
+};
+
+module.exports = {
+  resolveTimeZone,
+  parseTimeZone,
+  describeTimeZone,
+  getOffsetMinutes,
+  formatOffset,
+};
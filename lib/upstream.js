@@ -0,0 +1,214 @@
+// Upstream reference monitoring
+//
+// Polls one or more NTP servers and tracks how far our own clock is from them.
+// This does not adjust the clock, that is left to chrony, it only lets the
+// server report honestly whether the time it hands out can be trusted.
+
+const EventEmitter = require("events");
+const ntp = require("./ntp");
+
+// assumed worst case frequency error of the local clock between polls, 15 ppm
+// as in RFC 5905
+const PHI = 15e-6;
+
+// number of recent offsets kept per upstream for the jitter estimate
+const HISTORY_SIZE = 8;
+
+// requests sent per poll, the one with the lowest delay is kept
+const BURST_SIZE = 3;
+const BURST_SPACING = 200;
+
+const round = (ms) => (ms === null ? null : Math.round(ms * 1000) / 1000);
+
+// parse "host" or "host:port", and "[::1]:123" for IPv6 addresses
+const parseServer = (value) => {
+  const match =
+    /^\[(.+)\](?::(\d+))?$/.exec(value) || /^([^:]+)(?::(\d+))?$/.exec(value);
+
+  // anything else is a bare IPv6 address
+  if (!match) return { host: value, port: 123 };
+  return { host: match[1], port: match[2] ? Number(match[2]) : 123 };
+};
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// root distance, the total error budget back to the primary reference
+const rootDistance = (peer) =>
+  (peer.rootDelay + peer.delay) / 2 + peer.rootDispersion + peer.jitter;
+
+const createUpstreamMonitor = ({
+  servers = [],
+  pollInterval = 64000,
+  maxErrorMs = 100,
+  timeout = 2000,
+} = {}) => {
+  const monitor = new EventEmitter();
+  let timer = null;
+
+  const peers = servers.map((server) => ({
+    ...parseServer(server),
+    address: null,
+    reachable: false,
+    error: null,
+    leap: ntp.LEAP_NONE,
+    stratum: null,
+    refId: null,
+    offset: null,
+    delay: null,
+    jitter: null,
+    rootDelay: null,
+    rootDispersion: null,
+    lastSync: null,
+    history: [],
+  }));
+
+  const pollPeer = async (peer) => {
+    let best = null;
+    let lastError = null;
+
+    for (let i = 0; i < BURST_SIZE; i++) {
+      try {
+        const sample = await ntp.query(peer.host, peer.port, { timeout });
+        if (!best || sample.delay < best.delay) best = sample;
+      } catch (err) {
+        lastError = err;
+      }
+      if (i < BURST_SIZE - 1) await wait(BURST_SPACING);
+    }
+
+    if (!best) {
+      peer.reachable = false;
+      peer.error = lastError.message;
+      monitor.emit("unreachable", peer, lastError);
+      return;
+    }
+
+    // jitter is the RMS difference of recent offsets from the newest one
+    peer.history = [best.offset, ...peer.history].slice(0, HISTORY_SIZE);
+    const squares = peer.history.map((o) => (o - best.offset) ** 2);
+    const jitter =
+      peer.history.length > 1
+        ? Math.sqrt(squares.reduce((a, b) => a + b, 0) / (squares.length - 1))
+        : 0;
+
+    Object.assign(peer, {
+      address: best.address,
+      reachable: true,
+      error: null,
+      leap: best.leap,
+      stratum: best.stratum,
+      refId: best.refId,
+      offset: best.offset,
+      delay: best.delay,
+      jitter,
+      rootDelay: best.rootDelay,
+      rootDispersion: best.rootDispersion,
+      lastSync: Date.now(),
+    });
+
+    monitor.emit("sync", peer);
+  };
+
+  const poll = async () => {
+    await Promise.all(peers.map(pollPeer));
+    if (timer !== null) timer = setTimeout(poll, pollInterval);
+  };
+
+  // the best upstream is the one with the smallest error budget that has
+  // answered recently and is itself synchronized
+  const selectPeer = () => {
+    const maxAge = pollInterval * 4;
+    const now = Date.now();
+    const candidates = peers.filter(
+      (peer) =>
+        peer.lastSync !== null &&
+        now - peer.lastSync <= maxAge &&
+        peer.leap !== ntp.LEAP_UNSYNCHRONIZED
+    );
+    candidates.sort((a, b) => rootDistance(a) - rootDistance(b));
+    return candidates[0] || null;
+  };
+
+  monitor.start = () => {
+    if (timer !== null || peers.length === 0) return;
+    timer = 0;
+    poll();
+  };
+
+  monitor.stop = () => {
+    clearTimeout(timer);
+    timer = null;
+  };
+
+  // public sync status, as reported in the `server` block of /api/time
+  // `synchronized` is null when no upstream servers are configured
+  monitor.status = () => {
+    const now = Date.now();
+    const peer = selectPeer();
+
+    let synchronized = null;
+    let estimatedErrorMs = null;
+    if (peers.length > 0) {
+      if (peer) {
+        const age = now - peer.lastSync;
+        estimatedErrorMs =
+          Math.abs(peer.offset) + rootDistance(peer) + age * PHI;
+      }
+      synchronized =
+        estimatedErrorMs !== null && estimatedErrorMs <= maxErrorMs;
+    }
+
+    return {
+      synchronized,
+      estimatedErrorMs: round(estimatedErrorMs),
+      offsetMs: peer ? round(peer.offset) : null,
+      jitterMs: peer ? round(peer.jitter) : null,
+      lastSyncAgeMs: peer ? now - peer.lastSync : null,
+      upstream: peers.map((p) => ({
+        host: p.host,
+        port: p.port,
+        address: p.address,
+        reachable: p.reachable,
+        selected: p === peer,
+        stratum: p.stratum,
+        offsetMs: round(p.offset),
+        delayMs: round(p.delay),
+        jitterMs: round(p.jitter),
+        lastSyncAgeMs: p.lastSync === null ? null : now - p.lastSync,
+        error: p.error,
+      })),
+    };
+  };
+
+  // the fields an NTP server needs to describe its own reference
+  monitor.ntpStatus = () => {
+    const peer = selectPeer();
+    const { synchronized } = monitor.status();
+
+    if (!peer) {
+      return {
+        leap: ntp.LEAP_UNSYNCHRONIZED,
+        stratum: 16,
+        refId: "INIT",
+        rootDelay: 0,
+        rootDispersion: 0,
+        referenceTime: null,
+      };
+    }
+
+    const age = Date.now() - peer.lastSync;
+    return {
+      leap: synchronized ? peer.leap : ntp.LEAP_UNSYNCHRONIZED,
+      stratum: Math.min(peer.stratum + 1, 15),
+      refId: peer.address,
+      rootDelay: peer.rootDelay + peer.delay,
+      rootDispersion:
+        peer.rootDispersion + peer.jitter + Math.abs(peer.offset) + age * PHI,
+      referenceTime: peer.lastSync,
+    };
+  };
+
+  return monitor;
+};
+
+module.exports = { createUpstreamMonitor, parseServer };
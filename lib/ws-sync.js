@@ -0,0 +1,135 @@
+// WebSocket time sync channel
+//
+// Lets clients take many timestamp samples over one persistent connection,
+// without the HTTP overhead and rate limits of /api/time. Clients send
+//
+//   { "type": "ping", "originate": 1759640048500 }
+//
+// and get the same NTP style timestamps as /api/time back
+//
+//   { "type": "pong", "originate": 1759640048500, "receive": ..., "transmit": ..., "server": { ... } }
+//
+// The server can also push { "type": "notice", ... } messages to every client.
+
+const { WebSocketServer } = require("ws");
+
+// close code for connections that break the message rate limit
+const POLICY_VIOLATION = 1008;
+
+const attachTimeSocket = (
+  server,
+  {
+    path = "/api/ws",
+    isOriginAllowed = () => true,
+    status = () => null,
+    maxConnectionsPerIp = 10,
+    maxMessagesPerSecond = 20,
+    // the client's address, behind a proxy it isn't the socket's
+    clientIp = (req) => req.socket.remoteAddress,
+  } = {}
+) => {
+  const connectionsPerIp = new Map();
+
+  const release = (ip) => {
+    const count = connectionsPerIp.get(ip) - 1;
+    if (count > 0) connectionsPerIp.set(ip, count);
+    else connectionsPerIp.delete(ip);
+  };
+
+  // browsers send an Origin header with WebSocket requests but they are not
+  // subject to CORS, so check it here the same way the CORS middleware does
+  const verifyClient = ({ origin, req }, callback) => {
+    if (origin) {
+      const sameHost = (() => {
+        try {
+          return new URL(origin).host === req.headers.host;
+        } catch {
+          return false;
+        }
+      })();
+      if (!sameHost && !isOriginAllowed(origin)) {
+        callback(false, 403, "Origin not allowed");
+        return;
+      }
+    }
+
+    const ip = clientIp(req);
+    const count = connectionsPerIp.get(ip) || 0;
+    if (count >= maxConnectionsPerIp) {
+      callback(false, 429, "Too Many Connections");
+      return;
+    }
+
+    // the slot is taken before the upgrade completes, so upgrades at the same
+    // time can't all get in, and given back when the socket closes, whether
+    // the upgrade failed or the client disconnected later
+    connectionsPerIp.set(ip, count + 1);
+    req.socket.once("close", () => release(ip));
+
+    callback(true);
+  };
+
+  const wss = new WebSocketServer({
+    server,
+    path,
+    maxPayload: 1024,
+    verifyClient,
+  });
+
+  wss.on("connection", (socket) => {
+    let windowStart = Date.now();
+    let messageCount = 0;
+
+    socket.on("message", (data) => {
+      const receive = Date.now();
+
+      // simple fixed window limit on messages per connection
+      if (receive - windowStart >= 1000) {
+        windowStart = receive;
+        messageCount = 0;
+      }
+      if (++messageCount > maxMessagesPerSecond) {
+        socket.close(POLICY_VIOLATION, "Too Many Messages");
+        return;
+      }
+
+      let message;
+      try {
+        message = JSON.parse(data);
+      } catch {
+        return;
+      }
+      if (!message || message.type !== "ping") return;
+
+      const originate = Number(message.originate);
+      const transmit = Date.now();
+      socket.send(
+        JSON.stringify({
+          type: "pong",
+          originate: Number.isFinite(originate) ? originate : null,
+          receive,
+          transmit,
+          server: status(),
+        })
+      );
+    });
+  });
+
+  // push a notice to every connected client, e.g. a change in server sync
+  // status or an announced leap second
+  const notify = (notice) => {
+    const data = JSON.stringify({ type: "notice", ...notice });
+    for (const client of wss.clients) {
+      if (client.readyState === client.OPEN) client.send(data);
+    }
+  };
+
+  const close = (callback) => {
+    for (const client of wss.clients) client.terminate();
+    wss.close(callback);
+  };
+
+  return { notify, close };
+};
+
+module.exports = { attachTimeSocket };
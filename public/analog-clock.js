@@ -4,6 +4,10 @@
 // MIT License © 2025 Andy Gock
 //
 
+// IANA time zones as on the world clock, so the faces follow daylight saving
+// changes
+import { getOffsetMinutes, resolveTimeZone } from "./time-zone.js";
+
 (() => {
   "use strict";
 
@@ -54,6 +58,7 @@
         "centre-cap-radius",
         "tick-offset-ms",
         "timezone-offset-minutes",
+        "timezone",
         "paused",
       ];
     }
@@ -67,12 +72,17 @@
       // Time model:
       // - "system": epoch = Date.now()
       // - "manual": epoch = manualEpoch + (Date.now() - manualSetSystemNow)
+      // - "source": epoch = source(), e.g. a synchronized clock
       this._time = {
         mode: "system",
         manualEpochMs: 0,
         manualSetSystemNowMs: 0,
+        source: null,
         driftMs: 0,
-        tzOffsetMin: -new Date().getTimezoneOffset(),
+        // fixed offset, or null for the browser's own zone
+        tzOffsetMin: null,
+        // IANA zone, e.g "Europe/London", wins over the fixed offset
+        timeZone: null,
       };
 
       this._props = {
@@ -183,6 +193,22 @@
       this._phaseCorrectAll(true);
     }
 
+    setTimeSource(source, { tickOffsetMs } = {}) {
+      if (typeof source !== "function") return;
+
+      const offset = Number.isFinite(Number(tickOffsetMs))
+        ? Number(tickOffsetMs)
+        : this._props.tickOffsetMs;
+
+      this._time.mode = "source";
+      this._time.source = source;
+      this._time.driftMs = 0;
+      this._props.tickOffsetMs = clamp(offset, -600000, 600000);
+
+      this._ensureAnimations();
+      this._phaseCorrectAll(true);
+    }
+
     adjustByMs(deltaMs) {
       const d = Number(deltaMs);
       if (!Number.isFinite(d)) return;
@@ -194,6 +220,14 @@
       const m = Number(minutes);
       if (!Number.isFinite(m)) return;
       this._time.tzOffsetMin = clamp(m, -14 * 60, 14 * 60);
+      this._time.timeZone = null;
+      this._phaseCorrectAll(true);
+    }
+
+    // IANA time zone name, or null for the browser's own zone
+    setTimeZone(timeZone) {
+      if (timeZone !== null && !resolveTimeZone(timeZone)) return;
+      this._time.timeZone = timeZone;
       this._phaseCorrectAll(true);
     }
 
@@ -237,6 +271,11 @@
           this._time.tzOffsetMin = clamp(tz, -14 * 60, 14 * 60);
       }
 
+      if (hasAttr(this, "timezone")) {
+        const zone = String(a("timezone")).trim();
+        if (resolveTimeZone(zone)) this._time.timeZone = zone;
+      }
+
       this._props.tickOffsetMs = clamp(
         toNumber(a("tick-offset-ms"), this._props.tickOffsetMs),
         -600000,
@@ -567,15 +606,29 @@
 
     _epochMsNow() {
       const sysNow = Date.now();
-      const base =
-        this._time.mode === "system"
-          ? sysNow
-          : this._time.manualEpochMs +
-            (sysNow - this._time.manualSetSystemNowMs);
+      let base;
+      if (this._time.mode === "source") {
+        const sourceNow = Number(this._time.source());
+        base = Number.isFinite(sourceNow) ? sourceNow : sysNow;
+      } else if (this._time.mode === "manual") {
+        base =
+          this._time.manualEpochMs + (sysNow - this._time.manualSetSystemNowMs);
+      } else {
+        base = sysNow;
+      }
 
       return base + this._time.driftMs + this._props.tickOffsetMs;
     }
 
+    // worked out for each correction, so the hands jump at daylight saving
+    // changes
+    _offsetMinutesAt(epochMs) {
+      if (this._time.timeZone)
+        return getOffsetMinutes(this._time.timeZone, epochMs);
+      if (this._time.tzOffsetMin !== null) return this._time.tzOffsetMin;
+      return -new Date(epochMs).getTimezoneOffset();
+    }
+
     _ensureAnimations() {
       if (!this._els.secondWrap) return;
 
@@ -625,7 +678,8 @@
       if (!this._anims.second || !this._anims.minute || !this._anims.hour)
         return;
 
-      const t = this._epochMsNow() + this._time.tzOffsetMin * 60000;
+      const epochMs = this._epochMsNow();
+      const t = epochMs + this._offsetMinutesAt(epochMs) * 60000;
 
       // Phase within each period
       const secPhase = posMod(t, 60000);
@@ -1,74 +1,61 @@
-(() => {
-  const serverUrl = "/api/time";
-
-  // calculate the offset of API server time compared with local time, in milliseconds
-  // compensates for network latency, assume equal round trip time in each direction
-  // +ve offset means local clock is running behind server clock
-  const getServerTimeOffset = async () => {
-    const clientTimeStart = Date.now();
-    const response = await fetch(serverUrl, {
-      cache: "no-store",
-    });
-
-    //
-    // expect json response in this format, in UTC, from local server in _time-server
-    //
-    // { milliseconds: 1759640048519, datetime: "2025-10-05T04:54:08.519Z" }
-    //
-
-    const json = await response.json();
-
-    const clientTimeEnd = Date.now();
-    const roundTripTime = clientTimeEnd - clientTimeStart;
-
-    // Parse the server's datetime string into a Date object
-    const serverTime = new Date(json.datetime);
-    const serverUtc = serverTime.getTime();
-
-    const timeOffset = serverUtc - (clientTimeStart + roundTripTime / 2);
-    return timeOffset;
-  };
-
-  // calculate the time offset of server, 5 times, then get an average
-  const getServerTimeOffsetAverage = async () => {
-    const serverTimeOffsets = [];
-    const numberOfRequests = 5;
-    const delayPerRequest = 100;
-
-    for (let i = 0; i < numberOfRequests; i++) {
-      const offset = await getServerTimeOffset();
-      serverTimeOffsets.push(offset);
-
-      // delay for 50ms before the next request
-      if (i < numberOfRequests - 1) {
-        await new Promise((resolve) => setTimeout(resolve, delayPerRequest));
-      }
-    }
-
-    // console.log('raw time offsets', serverTimeOffsets);
-
-    // optional: remove lowest and highest values
-    // serverTimeOffsets.sort((a, b) => a - b);
-    // serverTimeOffsets.pop();
-    // serverTimeOffsets.shift();
+import {
+  createStreamSync,
+  createSync,
+  fetchLeapSeconds,
+  fromTai,
+  pendingLeapSecond,
+  sendReport,
+} from "./sync/index.mjs";
+import { createDiagnostics } from "./diagnostics.js";
+import { PATTERNS, createTimeSignal } from "./time-signal.js";
+import { createWorldClock } from "./world-clock.js";
+import { getOffsetMinutes } from "./time-zone.js";
+import { parseDisplayOptions } from "./display-options.js";
+import { escapeHTML } from "./html.js";
 
-    // calculate the range from min to max of serverTimeOffsets
-    const range =
-      Math.max(...serverTimeOffsets) - Math.min(...serverTimeOffsets);
-
-    // calculate average time offset from remaining values
-    const average =
-      serverTimeOffsets.reduce((a, b) => a + b, 0) / serverTimeOffsets.length;
-
-    return { average, range };
-  };
-
-  // format the time as a string
-  const formatTime = (time) => {
-    const hours = time.getHours().toString().padStart(2, "0");
-    const minutes = time.getMinutes().toString().padStart(2, "0");
-    const seconds = time.getSeconds().toString().padStart(2, "0");
-    return `${hours}:${minutes}:${seconds}`;
+(() => {
+  const defaultServerUrl = "/api/time";
+
+  // what to show and how, from the page URL, see display-options.js
+  const { options: display, warnings } = parseDisplayOptions(
+    location.search,
+    location.hash
+  );
+  for (const warning of warnings) console.warn(warning);
+
+  // the leap second table only changes every six months at most
+  const leapSecondsRefreshInterval = 24 * 60 * 60 * 1000;
+
+  // time scales the clock can show, anything but local time is shown with
+  // Date's UTC methods
+  const scaleLabels = { local: "", utc: "UTC", tai: "TAI", gps: "GPS" };
+
+  // the tz parameter is shown as e.g "America/New York"
+  const getZoneLabel = (timeZone) => timeZone.replace(/_/g, " ");
+
+  // format the time as a string, during a leap second the time is 23:59:59
+  // repeated, shown as 23:59:60
+  const formatTime = (
+    time,
+    { utc = false, leap = false, hours12 = false, milliseconds = false } = {}
+  ) => {
+    const hour = utc ? time.getUTCHours() : time.getHours();
+    const hours = (hours12 ? hour % 12 || 12 : hour)
+      .toString()
+      .padStart(2, "0");
+    const minutes = (utc ? time.getUTCMinutes() : time.getMinutes())
+      .toString()
+      .padStart(2, "0");
+    const seconds = (leap ? 60 : utc ? time.getUTCSeconds() : time.getSeconds())
+      .toString()
+      .padStart(2, "0");
+    const fraction = milliseconds
+      ? `.${(utc ? time.getUTCMilliseconds() : time.getMilliseconds())
+          .toString()
+          .padStart(3, "0")}`
+      : "";
+    const meridiem = hours12 ? ` ${hour < 12 ? "am" : "pm"}` : "";
+    return `${hours}:${minutes}:${seconds}${fraction}${meridiem}`;
   };
 
   const getDaySuffix = (day) => {
@@ -86,16 +73,18 @@
   };
 
   // format the date
-  const formatDate = (date) => {
-    const day = date.getDate();
-    const month = date.getMonth() + 1;
-    const year = date.getFullYear();
+  const formatDate = (date, { utc = false } = {}) => {
+    const day = utc ? date.getUTCDate() : date.getDate();
+    const year = utc ? date.getUTCFullYear() : date.getFullYear();
+    const timeZone = utc ? "UTC" : undefined;
 
     // format e.g Monday 1st January 2021
     return `${date.toLocaleDateString("en-GB", {
       weekday: "long",
+      timeZone,
     })}, ${day} ${date.toLocaleDateString("en-GB", {
       month: "long",
+      timeZone,
     })} ${year}`;
   };
 
@@ -116,13 +105,265 @@
     return `${pre()}${offset <= 0 ? " ahead" : " behind"}`;
   };
 
+  // warn when the server reports its own clock is not synchronized to its
+  // upstream references, the offset above is then measured against a clock
+  // that may itself be wrong
+  const getServerWarningHTML = (server) => {
+    if (!server || server.synchronized !== false) return "";
+    const error =
+      server.estimatedErrorMs === null
+        ? "its upstream time servers are unreachable"
+        : `its estimated error is ${(server.estimatedErrorMs / 1000).toFixed(
+            3
+          )} seconds`;
+    return `<p class="warning">Warning: our server clock is not synchronized, ${error}. The time shown may be wrong.</p>`;
+  };
+
+  // origins the visitor has agreed to sync with from a server URL parameter,
+  // remembered so a kiosk isn't asked again on every reload
+  const loadTrustedOrigins = () => {
+    try {
+      const origins = JSON.parse(localStorage.getItem("realclock-servers"));
+      return Array.isArray(origins) ? origins : [];
+    } catch {
+      return [];
+    }
+  };
+
+  // the list of time servers to sync with, from the server URL parameter or
+  // the realclock-servers meta tag separated by commas or spaces, defaults to
+  // our own server, returns { urls, foreign, unconfirmed }
+  // anyone can make a link with a server parameter, so `foreign` servers,
+  // not ours or in the meta tag, are only used once the visitor has accepted
+  // them, otherwise the page would show that server's time as ours. Until
+  // then the page's own servers are used, and `unconfirmed` lists the origins
+  // to ask about, see showServerBanner
+  const getServerUrls = () => {
+    const meta = document.querySelector('meta[name="realclock-servers"]');
+    const metaUrls = (meta ? meta.content : "").split(/[\s,]+/).filter(Boolean);
+    const pageUrls = metaUrls.length > 0 ? metaUrls : [defaultServerUrl];
+    if (!display.server)
+      return { urls: pageUrls, foreign: [], unconfirmed: [] };
+
+    const resolve = (url) => new URL(url, location.href).href;
+    const listed = pageUrls.map(resolve);
+    const trusted = loadTrustedOrigins();
+    const foreign = [
+      ...new Set(
+        display.server
+          .map((url) => new URL(url, location.href))
+          .filter((url) => url.origin !== location.origin)
+          .filter((url) => !listed.includes(url.href))
+          .map((url) => url.origin)
+      ),
+    ];
+    const unconfirmed = foreign.filter((origin) => !trusted.includes(origin));
+    if (unconfirmed.length === 0) {
+      return { urls: display.server, foreign, unconfirmed };
+    }
+    return { urls: pageUrls, foreign: [], unconfirmed };
+  };
+
+  // ask about foreign servers with a banner, not a modal, so an unattended
+  // kiosk keeps showing our time while nobody answers. Accepting remembers
+  // the origins and reloads, so syncs, reports and the leap second table all
+  // switch over together
+  const showServerBanner = (unconfirmed) => {
+    const banner = document.getElementById("server-banner");
+    if (!banner || unconfirmed.length === 0) return;
+    const origins = unconfirmed
+      .map((origin) => `<strong>${escapeHTML(origin)}</strong>`)
+      .join(", ");
+    banner.innerHTML = `<p>This link asks the clock to get its time from ${origins}. Only accept if you trust it, it decides the time shown. Until then the time is from this site.</p>
+      <button type="button" data-action="accept">Accept</button>
+      <button type="button" data-action="ignore">Ignore</button>`;
+    banner.hidden = false;
+    banner.addEventListener("click", (event) => {
+      const action = event.target.dataset && event.target.dataset.action;
+      if (action === "accept") {
+        localStorage.setItem(
+          "realclock-servers",
+          JSON.stringify([...loadTrustedOrigins(), ...unconfirmed])
+        );
+        location.reload();
+      } else if (action === "ignore") {
+        console.warn(
+          `Ignoring server=${display.server.join(",")}, not accepted`
+        );
+        banner.hidden = true;
+      }
+    });
+  };
+
+  // the server's Roughtime public key, from the realclock-roughtime-key meta
+  // tag, when set each sync is checked against a signed Roughtime reply
+  const getRoughtimeKey = () => {
+    const meta = document.querySelector('meta[name="realclock-roughtime-key"]');
+    return meta && meta.content.trim() ? meta.content.trim() : null;
+  };
+
+  // "stream" to follow the server's tick stream instead of measuring the
+  // offset, from the realclock-sync-mode meta tag, lighter but less accurate
+  const getSyncMode = () => {
+    const meta = document.querySelector('meta[name="realclock-sync-mode"]');
+    return meta && meta.content.trim() === "stream" ? "stream" : "measure";
+  };
+
+  // the error bound, or how the offset was measured when there is none
+  const getErrorBoundDescription = (errorBound) =>
+    errorBound === null
+      ? "one-way, from the tick stream"
+      : `±${(errorBound / 1000).toFixed(3)} seconds`;
+
+  // how the last sync was measured, the tick stream already says so in the
+  // error bound description
+  const getMethodDescription = (method) => {
+    switch (method) {
+      case "websocket":
+        return ", over WebSocket";
+      case "http":
+        return ", over HTTP";
+      case "date-header":
+        return ", from HTTP Date headers as the time API is unavailable";
+      default:
+        return "";
+    }
+  };
+
+  // the last sync from an earlier visit, see createSync({ restore }), or null
+  // if there isn't a usable one
+  const loadSavedSync = () => {
+    try {
+      const state = JSON.parse(localStorage.getItem("realclock-sync"));
+      const valid =
+        state &&
+        [state.time, state.offset, state.errorBound].every(Number.isFinite) &&
+        (state.drift === null || Number.isFinite(state.drift));
+      return valid ? state : null;
+    } catch {
+      return null;
+    }
+  };
+
+  // keep the last sync, so a reload while offline still has the offset
+  // a one-way stream sync has no error bound, and nothing is kept
+  const saveSync = (sync) => {
+    if (sync.state) {
+      localStorage.setItem("realclock-sync", JSON.stringify(sync.state));
+    }
+  };
+
+  // the browser family for anonymous reports, nothing more specific
+  const getBrowserFamily = (userAgent) => {
+    if (/SamsungBrowser\//.test(userAgent)) return "samsung";
+    if (/Edg\//.test(userAgent)) return "edge";
+    if (/OPR\//.test(userAgent)) return "opera";
+    if (/Firefox\//.test(userAgent)) return "firefox";
+    if (/Chrome\//.test(userAgent)) return "chrome";
+    if (/Safari\//.test(userAgent)) return "safari";
+    return "other";
+  };
+
+  // warn when the last sync could not be confirmed by a signed Roughtime
+  // reply, a successful check is shown in the stats line instead
+  const getVerifyWarningHTML = (verified) =>
+    verified === false
+      ? '<p class="warning">Warning: the time could not be verified with a signed Roughtime reply.</p>'
+      : "";
+
+  // a server from the page link is always shown, so a link can't quietly
+  // pass its time off as ours
+  const getForeignServerHTML = (origins) =>
+    origins.length > 0
+      ? `<p class="warning">Time from ${origins
+          .map(escapeHTML)
+          .join(", ")}, set by the page link.</p>`
+      : "";
+
+  // the sync status reported by the servers we use, a warning from any
+  // selected server wins
+  const getSelectedServerStatus = (servers) => {
+    const statuses = servers.filter((s) => s.selected).map((s) => s.status);
+    return (
+      statuses.find((s) => s && s.synchronized === false) || statuses[0] || null
+    );
+  };
+
+  // current TAI - UTC, and the next leap second if one has been announced
+  const getLeapSecondHTML = (leapSeconds, now) => {
+    if (leapSeconds.length === 0) return "";
+    const current = leapSeconds.filter((e) => e.milliseconds <= now).pop();
+    const next = pendingLeapSecond(leapSeconds, now);
+    const taiMinusUtc = current ? current.taiMinusUtc : 0;
+    const announcement = next
+      ? `, a leap second will be ${
+          next.taiMinusUtc > taiMinusUtc ? "inserted" : "removed"
+        } at the end of ${formatDate(new Date(next.milliseconds - 1000), {
+          utc: true,
+        })} UTC`
+      : "";
+    return `<p>TAI − UTC is ${taiMinusUtc} s${announcement}</p>`;
+  };
+
+  // per server breakdown of the last sync, only shown with more than one server
+  // offsets use the same sign as the stats line, +ve means the local clock is ahead
+  const getServersHTML = (servers, consensus) => {
+    if (servers.length < 2) return "";
+
+    const seconds = (ms) => `${(ms / 1000).toFixed(3)} s`;
+    const rows = servers.map((server) => {
+      if (!server.estimate) {
+        return `<tr class="unreachable"><td>${escapeHTML(
+          server.url
+        )}</td><td colspan="3"></td><td>unreachable</td></tr>`;
+      }
+      const { offset, delay, errorBound } = server.estimate;
+      return `<tr class="${
+        server.selected ? "selected" : "rejected"
+      }"><td>${escapeHTML(server.url)}</td><td>${
+        offset > 0 ? "-" : "+"
+      }${seconds(Math.abs(offset))}</td><td>${seconds(
+        delay
+      )}</td><td>±${seconds(errorBound)}</td><td>${
+        server.selected ? "selected" : consensus ? "falseticker" : "not used"
+      }</td></tr>`;
+    });
+
+    return `<table class="servers"><tr><th>Server</th><th>Difference</th><th>Delay</th><th>Error</th><th></th></tr>${rows.join(
+      ""
+    )}</table>`;
+  };
+
+  // describe the measured drift rate of the local clock, in ppm
+  // +ve drift means the offset grows over time, so the local clock runs slow
+  const getDriftDescription = (drift) => {
+    if (drift === null) return "Measuring drift";
+    return `Drift ${Math.abs(drift).toFixed(1)} ppm ${
+      drift > 0 ? "slow" : "fast"
+    }`;
+  };
+
+  // describe how long ago something happened, e.g "3 min ago"
+  const formatAge = (ms) => {
+    const seconds = Math.floor(ms / 1000);
+    if (seconds < 10) return "just now";
+    if (seconds < 60) return `${seconds} s ago`;
+    if (seconds < 3600) return `${Math.floor(seconds / 60)} min ago`;
+    return `${Math.floor(seconds / 3600)} h ago`;
+  };
+
   const resizeFont = () => {
     const width = window.innerWidth;
     const height = window.innerHeight;
     const newFontSize = Math.min(width * 0.2, height * 0.5);
 
-    // set font size of clock
-    document.getElementById("clock").style.fontSize = `${newFontSize}px`;
+    // set font size of clock, shrunk to fit milliseconds and am/pm
+    const characters =
+      8 + (display.precision === "ms" ? 4 : 0) + (display.hours === 12 ? 3 : 0);
+    document.getElementById("clock").style.fontSize = `${Math.min(
+      (width * 0.2 * 8) / characters,
+      height * 0.5
+    )}px`;
 
     // set font size of date to be 15% of clock font size
     document.getElementById("date").style.fontSize = `${newFontSize * 0.15}px`;
@@ -130,29 +371,77 @@
 
   const analogClockEl = document.getElementById("analog-clock");
 
-  const syncAnalogClockToOffset = (offsetMs) => {
-    if (!analogClockEl || typeof analogClockEl.setEpochMs !== "function")
+  const hideElement = (id) => {
+    const element = document.getElementById(id);
+    if (element) element.style.display = "none";
+  };
+
+  // dark or light, "auto" follows the OS setting as it changes
+  const applyTheme = () => {
+    const dark =
+      display.theme === "dark" ||
+      (display.theme === "auto" &&
+        window.matchMedia("(prefers-color-scheme: dark)").matches);
+    document.body.classList.toggle("dark", dark);
+    const meta = document.querySelector('meta[name="theme-color"]');
+    if (meta) meta.content = dark ? "#111111" : "#f0f0f0";
+  };
+
+  // show and hide parts of the page, as set in the URL
+  const applyDisplayOptions = () => {
+    applyTheme();
+    if (display.theme === "auto") {
+      window
+        .matchMedia("(prefers-color-scheme: dark)")
+        .addEventListener("change", applyTheme);
+    }
+
+    if (!display.bar) hideElement("progress-bar");
+    if (!display.stats) hideElement("stats");
+    if (display.analog === "off") hideElement("analog-clock-panel");
+    if (display.analog === "only") {
+      hideElement("clock");
+      hideElement("date");
+    }
+
+    if (analogClockEl) {
+      analogClockEl.setAttribute("size", String(display.size));
+      if (display.tz) analogClockEl.setAttribute("timezone", display.tz);
+    }
+  };
+
+  // drive the analog clock from the sync engine, so it follows the drift
+  // correction between syncs as well
+  const connectAnalogClock = (sync) => {
+    if (!analogClockEl || typeof analogClockEl.setTimeSource !== "function")
       return;
-    const correctedEpoch = Date.now() + offsetMs;
-    analogClockEl.setEpochMs(correctedEpoch);
+    analogClockEl.setTimeSource(() => sync.now());
     if (typeof analogClockEl.resume === "function") {
       analogClockEl.resume();
     }
   };
 
-  // update clock in DOM
+  // update clock in DOM, `label` names the time scale or zone when the time
+  // isn't the browser's own local time
   const updateClock = (time, opts) => {
-    const { highlight, dim } = opts;
+    const { highlight, dim, leap = false, utc = false, label = "" } = opts;
 
     // update the time in the DOM
     const clock = document.getElementById("clock");
-    clock.innerHTML = formatTime(time);
+    clock.innerHTML = formatTime(time, {
+      utc,
+      leap,
+      hours12: display.hours === 12,
+      milliseconds: display.precision === "ms",
+    });
 
     // update the date in the DOM
     const date = document.getElementById("date");
-    date.innerHTML = formatDate(time);
+    date.innerHTML = `${formatDate(time, { utc })}${
+      label ? ` ${escapeHTML(label)}` : ""
+    }`;
 
-    // highlight the text if the seconds are a multiple of 5
+    // highlight the text if the seconds are a multiple of the interval
     if (highlight) {
       clock.classList.add("highlight");
     } else {
@@ -169,14 +458,14 @@
     }
   };
 
-  // update the progress bar
+  // update the progress bar, it fills once per highlight interval, or once a
+  // minute with highlighting off
   const updateBar = (time) => {
-    const seconds = time.getSeconds();
-    const milliseconds = time.getMilliseconds();
-    const totalSeconds = seconds + milliseconds / 1000;
-    const phase = Math.floor(totalSeconds / 5) % 2;
-    const progressInPhase = totalSeconds % 5;
-    const widthPercent = (progressInPhase / 5) * 100;
+    const period = display.highlight || 60;
+    const totalSeconds = time.getTime() / 1000;
+    const phase = Math.floor(totalSeconds / period) % 2;
+    const progressInPhase = totalSeconds % period;
+    const widthPercent = (progressInPhase / period) * 100;
 
     const bar = document.getElementById("progress-bar");
     const fill = document.getElementById("progress-fill");
@@ -193,86 +482,321 @@
   };
 
   const main = async () => {
-    try {
-      let currentTime = new Date();
-      let synchronizedTime = currentTime;
-      let remainingMilliseconds = 0;
-      let serverTimeOffset = 0;
-      let serverTimeOffsetRange = 0;
-
-      // set font size on page load
-      resizeFont();
-
-      // set font size on resizing of window
-      window.addEventListener("resize", resizeFont);
-
-      // Start analog clock with local time immediately
-      syncAnalogClockToOffset(0);
-
-      // initial update of clock with local time, not dimmed
-      updateClock(synchronizedTime, { highlight: false, dim: false });
-      document.getElementById("stats").innerHTML =
-        "<p>Fetching accurate time...</p>";
-
-      // update the clock every second with local time initially
-      const clockInterval = setInterval(() => {
-        const now = new Date();
-        currentTime = now;
-
-        // Calculate the synchronized time by adding the time offset to the current time
-        // the +1000ms is because this fn is always run 1s behind
-        // IMPORTANT: this is the time displayed on the clock
-        synchronizedTime = new Date(
-          currentTime.getTime() + serverTimeOffset + 1000
+    applyDisplayOptions();
+
+    let currentTime = new Date();
+    let synchronizedTime = currentTime;
+    let remainingMilliseconds = 0;
+    let statsShown = false;
+
+    // true while syncs are failing, e.g offline, the offset is then from the
+    // last sync that worked, which may be from an earlier visit
+    let syncFailing = false;
+
+    const roughtimeKey = getRoughtimeKey();
+    const syncMode = getSyncMode();
+    // asked for once, syncs, reports and the leap second table all use it
+    const {
+      urls: serverUrls,
+      foreign: foreignOrigins,
+      unconfirmed: unconfirmedOrigins,
+    } = getServerUrls();
+    showServerBanner(unconfirmedOrigins);
+    const sync =
+      syncMode === "stream"
+        ? createStreamSync({ url: serverUrls })
+        : createSync({
+            url: serverUrls,
+            restore: loadSavedSync(),
+            roughtime: roughtimeKey ? { publicKey: roughtimeKey } : null,
+            // when the time API can't be used, time the Date header of this
+            // page instead, static files are not rate limited
+            dateHeaderUrl: "./",
+          });
+
+    // time scale shown by the clock, remembered between visits
+    const scaleSelect = document.getElementById("scale");
+    const savedScale = localStorage.getItem("realclock-scale");
+    let scale = savedScale in scaleLabels ? savedScale : "local";
+    if (scaleSelect) {
+      scaleSelect.value = scale;
+      if (display.tz)
+        scaleSelect.options[0].textContent = getZoneLabel(display.tz);
+      scaleSelect.addEventListener("change", () => {
+        scale = scaleSelect.value;
+        localStorage.setItem("realclock-scale", scale);
+      });
+    }
+
+    // with the visitor's consent, report how far out their clock was to the
+    // first server, once per visit, see /stats
+    // reports and /stats are only there with REPORTS on, so the section stays
+    // hidden until /api/stats answers
+    const reportSection = document.getElementById("report-section");
+    const reportCheckbox = document.getElementById("report");
+    let reportsEnabled = false;
+    let reportSent = false;
+    const reportOffset = () => {
+      if (!reportsEnabled || reportSent) return;
+      if (!reportCheckbox || !reportCheckbox.checked) return;
+      // a stream sync has no error bound to report
+      if (sync.lastSyncTime === null || sync.errorBound === null) return;
+      reportSent = true;
+      sendReport(serverUrls[0], {
+        offset: sync.offset,
+        errorBound: sync.errorBound,
+        family: getBrowserFamily(navigator.userAgent),
+      }).catch((error) => console.warn(error));
+    };
+    if (reportCheckbox) {
+      reportCheckbox.checked =
+        localStorage.getItem("realclock-report") === "on";
+      reportCheckbox.addEventListener("change", () => {
+        localStorage.setItem(
+          "realclock-report",
+          reportCheckbox.checked ? "on" : "off"
         );
+        reportOffset();
+      });
+    }
+    fetch("./api/stats", { method: "HEAD", cache: "no-store" })
+      .then((response) => {
+        if (!response.ok) return;
+        reportsEnabled = true;
+        if (reportSection) reportSection.hidden = false;
+        reportOffset();
+      })
+      .catch((error) => console.warn(error));
+
+    // pips on the corrected time, the pattern is remembered between visits,
+    // sound always starts off, browsers only allow it after a click anyway
+    const signalSelect = document.getElementById("signal-pattern");
+    const signalButton = document.getElementById("signal-mute");
+    if (signalSelect && signalButton) {
+      const savedPattern = localStorage.getItem("realclock-signal");
+      const signal = createTimeSignal(sync, {
+        pattern: PATTERNS.includes(savedPattern) ? savedPattern : "five",
+      });
+      signalSelect.value = signal.pattern;
+      signalSelect.addEventListener("change", () => {
+        signal.setPattern(signalSelect.value);
+        localStorage.setItem("realclock-signal", signal.pattern);
+      });
+      signalButton.addEventListener("click", () => {
+        const muted = !signal.muted;
+        signal.setMuted(muted).catch((error) => console.warn(error));
+        signalButton.textContent = muted ? "Sound on" : "Sound off";
+        signalButton.setAttribute("aria-pressed", String(!muted));
+      });
+    }
 
-        // Calculate the milliseconds remaining until the next second boundary
-        remainingMilliseconds = 1000 - synchronizedTime.getMilliseconds();
+    // every sample the sync engine takes, shown while the panel is open
+    const diagnosticsPanel = document.getElementById("diagnostics-panel");
+    if (diagnosticsPanel) {
+      createDiagnostics(sync, {
+        panel: diagnosticsPanel,
+        element: document.getElementById("diagnostics"),
+      });
+    }
 
-        // calculate whether the second portion of synchronizedTime is a multiple of 5
-        // used to change font color, to help set watches
-        let highlight = synchronizedTime.getSeconds() % 5 === 0;
+    // other time zones on the corrected time, kept in the URL and between
+    // visits
+    const worldClockForm = document.getElementById("world-clock-form");
+    if (worldClockForm) {
+      createWorldClock(sync, {
+        element: document.getElementById("world-clock"),
+        form: worldClockForm,
+        faces: document.getElementById("world-clock-faces"),
+      });
+    }
 
-        // update the DOM every second, but delay until the next second boundary
-        setTimeout(() => {
-          updateClock(synchronizedTime, { highlight, dim: false });
-        }, remainingMilliseconds);
-      }, 1000);
+    // the time shown for TAI time `tai`, with how to show it, see
+    // updateClock(), it is worked out on TAI, then converted to the scale
+    // shown, so that a leap second can be shown as 23:59:60, a time in
+    // another zone is shifted by its offset and read as UTC
+    const getShownTime = (tai) => {
+      const { time, leap } = fromTai(
+        sync.leapSeconds,
+        tai,
+        scale === "local" ? "utc" : scale
+      );
+      const shown = { leap, dim: false, utc: true, label: scaleLabels[scale] };
+      if (scale === "local" && display.tz) {
+        shown.time = new Date(
+          time + getOffsetMinutes(display.tz, time) * 60000
+        );
+        shown.label = getZoneLabel(display.tz);
+      } else {
+        shown.time = new Date(time);
+        shown.utc = scale !== "local";
+      }
 
-      // update the progress bar using requestAnimationFrame for very smooth animation
-      const updateBarLoop = () => {
-        const now = Date.now();
-        const syncedNow = new Date(now + serverTimeOffset);
-        updateBar(syncedNow);
-        requestAnimationFrame(updateBarLoop);
-      };
-      updateBarLoop();
+      // used to change font color, to help set watches
+      const seconds = leap ? 60 : shown.time.getSeconds();
+      shown.highlight =
+        display.highlight > 0 && seconds % display.highlight === 0;
+      return shown;
+    };
+
+    // set font size on page load
+    resizeFont();
 
-      // calculate how far out local clock is by fetching real time from a server
-      // this will make 5 requests and return the average and min/max range
-      const { average: offset, range } = await getServerTimeOffsetAverage();
+    // set font size on resizing of window
+    window.addEventListener("resize", resizeFont);
 
-      serverTimeOffset = offset;
-      serverTimeOffsetRange = range;
+    // Start analog clock with local time immediately, sync.now() is the local
+    // time until the first sync
+    connectAnalogClock(sync);
+
+    // initial update of clock with local time, not dimmed
+    updateClock(synchronizedTime, {
+      ...getShownTime(sync.tai()),
+      highlight: false,
+    });
+    document.getElementById("stats").innerHTML =
+      "<p>Fetching accurate time...</p>";
+
+    // +ve offset means local clock is running behind server clock
+    const showStats = () => {
+      const offset = sync.offset;
+      const statsHTML = `<p>Your clock is <strong>${getTimeOffsetDescription(
+        offset
+      )}</strong>. The difference from our server time is ${
+        offset > 0 ? "-" : "+"
+      }${(Math.abs(offset) / 1000).toFixed(
+        3
+      )} seconds (${getErrorBoundDescription(sync.currentErrorBound)})${
+        sync.verified ? ", <strong>verified</strong>" : ""
+      }</p><p>${
+        syncMode === "stream"
+          ? "Following the tick stream"
+          : getDriftDescription(sync.drift)
+      }, last synced ${formatAge(
+        Date.now() - sync.lastSyncTime
+      )}${getMethodDescription(sync.method)}</p>${
+        syncFailing
+          ? '<p class="warning">Can\'t reach the time server, the error grows until it syncs again.</p>'
+          : ""
+      }${getVerifyWarningHTML(sync.verified)}${
+        sync.consensus
+          ? ""
+          : '<p class="warning">Warning: the time servers disagree, using the first one that answered.</p>'
+      }${getForeignServerHTML(foreignOrigins)}${getLeapSecondHTML(
+        sync.leapSeconds,
+        sync.now()
+      )}${getServerWarningHTML(
+        getSelectedServerStatus(sync.servers)
+      )}${getServersHTML(sync.servers, sync.consensus)}`;
+      document.getElementById("stats").innerHTML = statsHTML;
+      statsShown = true;
+    };
+
+    // the leap second table lets the clock show 23:59:60, and TAI and GPS
+    // time, without it those scales show UTC
+    const loadLeapSeconds = async () => {
+      try {
+        const table = await fetchLeapSeconds(serverUrls[0]);
+        sync.setLeapSeconds(table.leapSeconds);
+        if (statsShown) showStats();
+      } catch (error) {
+        console.warn(error);
+      }
+    };
+    loadLeapSeconds();
+    setInterval(loadLeapSeconds, leapSecondsRefreshInterval);
+
+    sync.on("sync", () => {
+      syncFailing = false;
+      saveSync(sync);
 
       // Sync analog clock to corrected time
-      syncAnalogClockToOffset(serverTimeOffset);
+      connectAnalogClock(sync);
 
       // update these stats on page, delay by 1.5s to allow the clock to update first
-      // +ve serverTimeOffset means local clock is running behind server clock
-      setTimeout(() => {
-        const statsHTML = `<p>Your clock is <strong>${getTimeOffsetDescription(
-          serverTimeOffset
-        )}</strong>. The difference from our server time is ${
-          serverTimeOffset > 0 ? "-" : "+"
-        }${(Math.abs(serverTimeOffset) / 1000).toFixed(3)} seconds (±${(
-          serverTimeOffsetRange / 2000
-        ).toFixed(3)} seconds)</p>`;
-        document.getElementById("stats").innerHTML = statsHTML;
-      }, 1500);
+      setTimeout(showStats, statsShown ? 0 : 1500);
+
+      reportOffset();
+    });
+
+    // the server pushes a notice when its own sync status changes
+    sync.on("notice", () => {
+      if (statsShown) showStats();
+    });
+
+    sync.on("verify", ({ error }) => {
+      if (error) console.warn(error);
+      if (statsShown) showStats();
+    });
+
+    // later syncs keep the last good estimate if they fail
+    sync.on("error", (error) => {
+      console.warn(error);
+      syncFailing = true;
+      if (statsShown) showStats();
+    });
+
+    // don't wait for the next scheduled sync once back online
+    window.addEventListener("online", () => {
+      sync.sync().catch(() => {});
+    });
+
+    // update the clock every second
+    const clockInterval = setInterval(() => {
+      const now = new Date();
+      currentTime = now;
+
+      // Calculate the synchronized time by adding the time offset to the current time
+      // the +1000ms is because this fn is always run 1s behind
+      // it is worked out on TAI, then converted to the scale shown, so that
+      // a leap second can be shown as 23:59:60
+      // IMPORTANT: this is the time displayed on the clock
+      const shown = getShownTime(sync.tai() + 1000);
+      synchronizedTime = shown.time;
+
+      // Calculate the milliseconds remaining until the next second boundary
+      remainingMilliseconds = 1000 - synchronizedTime.getMilliseconds();
+
+      // update the DOM every second, but delay until the next second boundary
+      // with milliseconds shown, the clock is updated every frame instead
+      if (display.precision === "s") {
+        setTimeout(
+          () => updateClock(synchronizedTime, shown),
+          remainingMilliseconds
+        );
+      }
+
+      // keep the time since last sync current
+      if (statsShown) showStats();
+    }, 1000);
+
+    // update the progress bar using requestAnimationFrame for very smooth animation
+    const updateBarLoop = () => {
+      if (display.bar) updateBar(new Date(sync.now()));
+      if (display.precision === "ms") {
+        const shown = getShownTime(sync.tai());
+        updateClock(shown.time, shown);
+      }
+      requestAnimationFrame(updateBarLoop);
+    };
+    updateBarLoop();
+
+    // with a sync from an earlier visit, the clock is already corrected
+    if (sync.lastSyncTime !== null) showStats();
+
+    try {
+      // calculate how far out local clock is by fetching real time from the servers
+      // this keeps resyncing in the background, and retries if this first sync fails
+      await sync.start();
     } catch (error) {
       console.error(error);
 
+      // keep going from the last sync of an earlier visit, if there is one
+      syncFailing = true;
+      if (sync.lastSyncTime !== null) {
+        showStats();
+        return;
+      }
+
       // display error to user
       document.getElementById("stats").innerHTML = `<p>Error: ${error}</p>`;
       if (analogClockEl) {
@@ -286,4 +810,11 @@
   }; // main
 
   main();
+
+  // cache the page so it loads offline, see sw.js
+  if ("serviceWorker" in navigator) {
+    navigator.serviceWorker
+      .register("./sw.js")
+      .catch((error) => console.warn(error));
+  }
 })();
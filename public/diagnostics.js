@@ -0,0 +1,289 @@
+// Sync diagnostics panel, every sample the sync engine takes this session,
+// with charts of the offsets over time and of the round trip times, and
+// export as CSV or JSON
+//
+// For finding out why a network gives bad syncs, e.g a proxy that adds delay
+// to some requests, or one that buffers WebSocket messages.
+//
+// Offsets are as measured by the sync engine, +ve means the local clock is
+// behind, all times are in milliseconds.
+
+import { escapeHTML } from "./html.js";
+
+// samples kept for the session, the oldest are dropped after this
+const maxSamples = 5000;
+
+// table rows shown, newest first, the export has every sample
+const maxRows = 100;
+
+const chartWidth = 600;
+const chartHeight = 180;
+const chartPadding = { top: 10, right: 10, bottom: 20, left: 60 };
+
+const formatClockTime = (time) => new Date(time).toISOString().slice(11, 23);
+
+const formatMs = (ms) => (ms === null ? "" : ms.toFixed(1));
+
+// a round step for axis ticks and histogram bins, 1, 2 or 5 times a power of
+// ten, so there are about `count` of them across `range`
+const niceStep = (range, count) => {
+  const rough = range / count;
+  const power = 10 ** Math.floor(Math.log10(rough));
+  const step = [1, 2, 5, 10].find((m) => m * power >= rough);
+  return step * power;
+};
+
+// map a value range onto pixels, `from` is larger than `to` on the y axis,
+// which points down in SVG
+const scale = (min, max, from, to) => (value) =>
+  max === min
+    ? (from + to) / 2
+    : from + ((value - min) / (max - min)) * (to - from);
+
+const svgOpen = () =>
+  `<svg class="chart" viewBox="0 0 ${chartWidth} ${chartHeight}" width="${chartWidth}" height="${chartHeight}" role="img">`;
+
+const plotTop = chartPadding.top;
+const plotBottom = chartHeight - chartPadding.bottom;
+const plotLeft = chartPadding.left;
+const plotRight = chartWidth - chartPadding.right;
+
+// horizontal grid lines with labels on the y axis
+const yAxis = (min, max, y, unit) => {
+  const step = niceStep(max - min || 1, 4);
+  const lines = [];
+  for (let value = Math.ceil(min / step) * step; value <= max; value += step) {
+    lines.push(
+      `<line class="grid" x1="${plotLeft}" x2="${plotRight}" y1="${y(
+        value
+      )}" y2="${y(value)}" /><text x="${plotLeft - 4}" y="${
+        y(value) + 4
+      }" text-anchor="end">${+value.toFixed(3)} ${unit}</text>`
+    );
+  }
+  return lines.join("");
+};
+
+// offset of each sample over time, accepted samples solid and rejected ones
+// hollow, with the estimate of each sync and its error bound behind them
+const getOffsetChartHTML = (samples, syncs) => {
+  const points = samples.filter((s) => s.offset !== undefined);
+  if (points.length === 0) return "";
+
+  const values = [
+    ...points.map((s) => s.offset),
+    ...syncs.flatMap((s) =>
+      s.errorBound === null
+        ? [s.offset]
+        : [s.offset - s.errorBound, s.offset + s.errorBound]
+    ),
+  ];
+  const times = [...points.map((s) => s.time), ...syncs.map((s) => s.time)];
+  const minTime = Math.min(...times);
+  const maxTime = Math.max(...times);
+  const x = scale(minTime, maxTime, plotLeft, plotRight);
+  const y = scale(
+    Math.min(...values),
+    Math.max(...values),
+    plotBottom,
+    plotTop
+  );
+
+  const estimates = syncs
+    .map((s) => {
+      const bar =
+        s.errorBound === null
+          ? ""
+          : `<line class="error-bound" x1="${x(s.time)}" x2="${x(
+              s.time
+            )}" y1="${y(s.offset - s.errorBound)}" y2="${y(
+              s.offset + s.errorBound
+            )}" />`;
+      return `${bar}<rect class="estimate" x="${x(s.time) - 3}" y="${
+        y(s.offset) - 1
+      }" width="6" height="2" />`;
+    })
+    .join("");
+
+  const dots = points
+    .map(
+      (s) =>
+        `<circle class="${s.accepted ? "accepted" : "rejected"}" cx="${x(
+          s.time
+        )}" cy="${y(s.offset)}" r="2.5" />`
+    )
+    .join("");
+
+  return `<h3>Offset over time</h3>${svgOpen()}${yAxis(
+    Math.min(...values),
+    Math.max(...values),
+    y,
+    "ms"
+  )}${estimates}${dots}<text x="${plotLeft}" y="${
+    chartHeight - 4
+  }">${formatClockTime(minTime)}</text><text x="${plotRight}" y="${
+    chartHeight - 4
+  }" text-anchor="end">${formatClockTime(maxTime)}</text></svg>`;
+};
+
+// how many samples took each round trip time, accepted ones stacked below
+// rejected ones
+const getDelayHistogramHTML = (samples) => {
+  const delays = samples.filter((s) => Number.isFinite(s.delay));
+  if (delays.length === 0) return "";
+
+  const maxDelay = Math.max(...delays.map((s) => s.delay), 1);
+  const width = niceStep(maxDelay, 20);
+  const bins = Array.from({ length: Math.floor(maxDelay / width) + 1 }, () => ({
+    accepted: 0,
+    rejected: 0,
+  }));
+  for (const s of delays) {
+    const bin = bins[Math.floor(Math.max(0, s.delay) / width)];
+    bin[s.accepted ? "accepted" : "rejected"]++;
+  }
+
+  const maxCount = Math.max(...bins.map((b) => b.accepted + b.rejected));
+  const y = scale(0, maxCount, plotBottom, plotTop);
+  const barWidth = (plotRight - plotLeft) / bins.length;
+
+  const bars = bins
+    .map((bin, i) => {
+      const left = plotLeft + i * barWidth;
+      const accepted = y(0) - y(bin.accepted);
+      const total = y(0) - y(bin.accepted + bin.rejected);
+      return `<rect class="accepted" x="${left}" y="${
+        plotBottom - accepted
+      }" width="${Math.max(
+        barWidth - 1,
+        1
+      )}" height="${accepted}" /><rect class="rejected" x="${left}" y="${
+        plotBottom - total
+      }" width="${Math.max(barWidth - 1, 1)}" height="${total - accepted}" />`;
+    })
+    .join("");
+
+  return `<h3>Round trip time</h3>${svgOpen()}${yAxis(
+    0,
+    maxCount,
+    y,
+    ""
+  )}${bars}<text x="${plotLeft}" y="${
+    chartHeight - 4
+  }">0 ms</text><text x="${plotRight}" y="${
+    chartHeight - 4
+  }" text-anchor="end">${+(bins.length * width).toFixed(3)} ms</text></svg>`;
+};
+
+const getTableHTML = (samples) => {
+  const rows = samples
+    .slice(-maxRows)
+    .reverse()
+    .map(
+      (s) =>
+        `<tr class="${
+          s.accepted ? "accepted" : "rejected"
+        }"><td>${formatClockTime(s.time)}</td><td>${escapeHTML(
+          s.url
+        )}</td><td>${s.method}</td><td>${
+          s.error ? "" : formatMs(s.delay)
+        }</td><td>${s.error ? "" : formatMs(s.offset)}</td><td>${
+          s.error ? escapeHTML(s.error) : s.accepted ? "accepted" : "rejected"
+        }</td></tr>`
+    );
+  return `<table class="samples"><tr><th>Time (UTC)</th><th>Server</th><th>Method</th><th>RTT (ms)</th><th>Offset (ms)</th><th></th></tr>${rows.join(
+    ""
+  )}</table>`;
+};
+
+const toCSV = (samples) => {
+  const quote = (value) =>
+    value === undefined || value === null
+      ? ""
+      : /[",\n]/.test(value)
+      ? `"${String(value).replace(/"/g, '""')}"`
+      : String(value);
+  const lines = samples.map((s) =>
+    [
+      new Date(s.time).toISOString(),
+      s.url,
+      s.method,
+      s.delay,
+      s.offset,
+      s.accepted,
+      s.error,
+    ]
+      .map(quote)
+      .join(",")
+  );
+  return `${[
+    "time,server,method,rtt_ms,offset_ms,accepted,error",
+    ...lines,
+  ].join("\n")}\n`;
+};
+
+// save text as a file
+const download = (text, type, filename) => {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+// collect the samples of `sync`, see createSync(), and show them in
+// `element` while `panel`, a <details> element, is open
+export const createDiagnostics = (sync, { panel, element }) => {
+  const started = Date.now();
+  let samples = [];
+  const syncs = [];
+
+  const render = () => {
+    if (!panel.open) return;
+    if (samples.length === 0) {
+      element.innerHTML = "<p>No samples yet.</p>";
+      return;
+    }
+    element.innerHTML = `<p>${
+      samples.length
+    } samples this session. Offsets are +ve when your clock is behind. <button type="button" data-export="csv">Export CSV</button> <button type="button" data-export="json">Export JSON</button></p>${getOffsetChartHTML(
+      samples,
+      syncs
+    )}${getDelayHistogramHTML(samples)}${getTableHTML(samples)}`;
+  };
+
+  sync.on("samples", ({ url, method, samples: taken }) => {
+    samples = [...samples, ...taken.map((s) => ({ url, method, ...s }))].slice(
+      -maxSamples
+    );
+    render();
+  });
+
+  sync.on("sync", ({ offset, errorBound }) => {
+    syncs.push({ time: Date.now(), offset, errorBound });
+    if (syncs.length > maxSamples) syncs.shift();
+    render();
+  });
+
+  panel.addEventListener("toggle", render);
+
+  element.addEventListener("click", (event) => {
+    const format = event.target.dataset && event.target.dataset.export;
+    if (!format) return;
+    const name = `realclock-${new Date(started)
+      .toISOString()
+      .replace(/[:.]/g, "-")}`;
+    if (format === "csv") {
+      download(toCSV(samples), "text/csv", `${name}.csv`);
+    } else {
+      download(
+        JSON.stringify({ samples, syncs }, null, 2),
+        "application/json",
+        `${name}.json`
+      );
+    }
+  });
+
+  return { render };
+};
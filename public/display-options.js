@@ -0,0 +1,113 @@
+// Display options from the page URL, for kiosks, wall screens and embeds
+//
+// Every option is a query or hash parameter, the hash wins where both are
+// given, e.g
+//
+//   /?tz=Asia/Tokyo&hours=12&analog=only&size=600&stats=off
+//   /#theme=dark&precision=ms&highlight=10&bar=off
+//
+// Parameters:
+//   tz         IANA time zone for the clock, instead of the browser's own
+//   hours      "24" (default) or "12"
+//   precision  "s" (default) or "ms", to show milliseconds
+//   theme      "light" (default), "dark", or "auto" to follow the OS setting
+//   analog     "on" (default), "off", or "only" to hide the digital clock
+//   size       analogue face size in pixels, 60 to 2000, default 320
+//   bar        progress bar "on" (default) or "off"
+//   stats      sync stats "on" (default) or "off"
+//   highlight  seconds between highlights, and the progress bar period, a
+//              divisor of 60, or 0 to turn highlighting off, default 5
+//   server     time endpoint URLs separated by commas, instead of the
+//              realclock-servers meta tag, a server that isn't on the page's
+//              origin or in the meta tag is only used once the visitor has
+//              accepted it, see getServerUrls in clock.js
+//
+// A value that isn't valid is ignored, with a warning, and the default used.
+
+import { getZoneName } from "./time-zone.js";
+
+const onOff = ["on", "off"];
+
+// highlights have to land on the same seconds every minute
+const highlightIntervals = [0, 1, 2, 3, 4, 5, 6, 10, 12, 15, 20, 30, 60];
+
+// [name, default, parse], parse returns the value, or undefined if `text`
+// isn't valid
+const OPTIONS = [
+  // a "+" typed into the address bar, as in Etc/GMT+5, reads as a space
+  ["tz", null, (text) => getZoneName(text.replace(/ /g, "+")) || undefined],
+  ["hours", 24, (text) => ({ 12: 12, 24: 24 }[text])],
+  ["precision", "s", (text) => (["s", "ms"].includes(text) ? text : undefined)],
+  [
+    "theme",
+    "light",
+    (text) => (["light", "dark", "auto"].includes(text) ? text : undefined),
+  ],
+  [
+    "analog",
+    "on",
+    (text) => (["on", "off", "only"].includes(text) ? text : undefined),
+  ],
+  [
+    "size",
+    320,
+    (text) => {
+      const size = Number(text);
+      return /^\d+$/.test(text) && size >= 60 && size <= 2000
+        ? size
+        : undefined;
+    },
+  ],
+  ["bar", true, (text) => (onOff.includes(text) ? text === "on" : undefined)],
+  ["stats", true, (text) => (onOff.includes(text) ? text === "on" : undefined)],
+  [
+    "highlight",
+    5,
+    (text) => {
+      const seconds = text === "off" ? 0 : Number(text);
+      return /^\d+$|^off$/.test(text) && highlightIntervals.includes(seconds)
+        ? seconds
+        : undefined;
+    },
+  ],
+  [
+    "server",
+    null,
+    (text) => {
+      const urls = text.split(/[\s,]+/).filter(Boolean);
+      const valid = urls.every((url) => {
+        try {
+          return /^https?:$/.test(new URL(url, location.href).protocol);
+        } catch {
+          return false;
+        }
+      });
+      return urls.length > 0 && valid ? urls : undefined;
+    },
+  ],
+];
+
+// the options in `search` and `hash`, e.g location.search and location.hash
+// returns { options, warnings }, `options` has every option, with its
+// default where it isn't given or isn't valid
+export const parseDisplayOptions = (search = "", hash = "") => {
+  const params = new URLSearchParams(search);
+  for (const [name, value] of new URLSearchParams(hash.replace(/^#/, ""))) {
+    params.set(name, value);
+  }
+
+  const options = {};
+  const warnings = [];
+  for (const [name, fallback, parse] of OPTIONS) {
+    options[name] = fallback;
+    if (!params.has(name)) continue;
+    const text = params.get(name).trim();
+    const value = parse(text);
+    if (value === undefined) {
+      warnings.push(`Ignoring ${name}=${text}, using the default`);
+    } else {
+      options[name] = value;
+    }
+  }
+  return { options, warnings };
+};
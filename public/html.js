@@ -0,0 +1,15 @@
+// Helpers for building the page's HTML from strings
+
+// text, e.g a server URL or a time zone label, safe to put in HTML
+export const escapeHTML = (text) =>
+  String(text).replace(
+    /[&<>"']/g,
+    (c) =>
+      ({
+        "&": "&amp;",
+        "<": "&lt;",
+        ">": "&gt;",
+        '"': "&quot;",
+        "'": "&#39;",
+      }[c])
+  );
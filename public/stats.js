@@ -0,0 +1,116 @@
+// Statistics page, the distribution of visitors' clock errors over the last
+// day and week, from /api/stats
+
+import { escapeHTML } from "./html.js";
+
+(() => {
+  const statsUrl = "./api/stats";
+
+  // labels for histogram bins from their upper edges, e.g "0.1 – 0.25 s"
+  const binLabels = (edges, unit) =>
+    [...edges, Infinity].map((edge, i) => {
+      if (i === 0) return `≤ ${edge} ${unit}`;
+      if (edge === Infinity) return `> ${edges[i - 1]} ${unit}`;
+      return `${edges[i - 1]} – ${edge} ${unit}`;
+    });
+
+  const percent = (n, total) =>
+    total === 0 ? "0%" : `${((n / total) * 100).toFixed(1)}%`;
+
+  // a bar scaled against the largest count in its table, leaving room in the
+  // cell for the count
+  const bar = (n, max) =>
+    `<div class="bar" style="width: ${max === 0 ? 0 : (n / max) * 80}%"></div>`;
+
+  // how many clocks were within `seconds`, counting whole bins only
+  const withinShare = (summary, edges, seconds) => {
+    const bins = edges.filter((edge) => edge <= seconds).length;
+    let n = 0;
+    for (let i = 0; i < bins; i++) n += summary.ahead[i] + summary.behind[i];
+    return percent(n, summary.count);
+  };
+
+  const getOffsetTableHTML = (summary, edges) => {
+    const max = Math.max(...summary.ahead, ...summary.behind);
+    const rows = binLabels(edges, "s").map(
+      (label, i) =>
+        `<tr><td class="ahead">${summary.ahead[i]}${bar(
+          summary.ahead[i],
+          max
+        )}</td><th>${label}</th><td>${bar(summary.behind[i], max)}${
+          summary.behind[i]
+        }</td></tr>`
+    );
+    return `<table class="histogram"><tr><td class="ahead">Ahead</td><th>Clock error</th><td>Behind</td></tr>${rows.join(
+      ""
+    )}</table>`;
+  };
+
+  const getErrorBoundTableHTML = (summary, edges) => {
+    const max = Math.max(...summary.errorBound);
+    const rows = binLabels(edges, "ms").map(
+      (label, i) =>
+        `<tr><th>${label}</th><td>${bar(summary.errorBound[i], max)}${
+          summary.errorBound[i]
+        }</td></tr>`
+    );
+    return `<table class="histogram"><tr><th>Error bound</th><td>Reports</td></tr>${rows.join(
+      ""
+    )}</table>`;
+  };
+
+  const getFamiliesHTML = (summary) => {
+    const families = Object.entries(summary.families).sort(
+      (a, b) => b[1] - a[1]
+    );
+    return families
+      .map(
+        ([family, n]) => `${escapeHTML(family)} ${percent(n, summary.count)}`
+      )
+      .join(", ");
+  };
+
+  const getPeriodHTML = (title, summary, stats) => {
+    if (summary.count === 0) {
+      return `<h2>${title}</h2><p class="stats">No reports yet.</p>`;
+    }
+    return `<h2>${title}</h2><p class="stats">${
+      summary.count
+    } reports, ${withinShare(
+      summary,
+      stats.offsetEdges,
+      0.1
+    )} of clocks within 0.1 seconds, ${withinShare(
+      summary,
+      stats.offsetEdges,
+      1
+    )} within a second.</p>${getOffsetTableHTML(
+      summary,
+      stats.offsetEdges
+    )}${getErrorBoundTableHTML(
+      summary,
+      stats.errorBoundEdges
+    )}<p class="stats">Browsers: ${getFamiliesHTML(summary)}</p>`;
+  };
+
+  const main = async () => {
+    const el = document.getElementById("report-stats");
+    try {
+      const response = await fetch(statsUrl, { cache: "no-store" });
+      if (!response.ok) {
+        throw new Error(`Server responded with status ${response.status}`);
+      }
+      const stats = await response.json();
+      el.innerHTML = `${getPeriodHTML(
+        "Last day",
+        stats.day,
+        stats
+      )}${getPeriodHTML("Last week", stats.week, stats)}`;
+    } catch (error) {
+      console.error(error);
+      el.innerHTML = `<p class="stats">Error: ${escapeHTML(error)}</p>`;
+    }
+  };
+
+  main();
+})();
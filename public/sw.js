@@ -0,0 +1,95 @@
+// Service worker, keeps the clock page loading while offline
+//
+// The page and its scripts are cached when the worker is installed, and
+// fetched from the network first after that, so an update shows up on the
+// next online visit. The API is never cached, a cached time is no time at all.
+// The page keeps its last sync in localStorage, so an offline clock still
+// shows the corrected time, see clock.js.
+//
+// Bump the cache version when files are added or removed.
+
+const cacheName = "realclock-v7";
+
+const appFiles = [
+  "./",
+  "./index.html",
+  "./style.css",
+  "./clock.js",
+  "./analog-clock.js",
+  "./diagnostics.js",
+  "./display-options.js",
+  "./html.js",
+  "./time-signal.js",
+  "./time-zone.js",
+  "./world-clock.js",
+  "./manifest.webmanifest",
+  "./icon.svg",
+  "./favicon.ico",
+  "./apple-touch-icon.png",
+  "./sync/index.mjs",
+  "./sync/date-header.mjs",
+  "./sync/drift.mjs",
+  "./sync/filter.mjs",
+  "./sync/leap.mjs",
+  "./sync/roughtime.mjs",
+  "./sync/select.mjs",
+  "./sync/stream.mjs",
+  "./sync/transport.mjs",
+];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(cacheName)
+      .then((cache) => cache.addAll(appFiles))
+      .then(() => self.skipWaiting())
+  );
+});
+
+// drop the caches of older versions
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((names) =>
+        Promise.all(
+          names
+            .filter(
+              (name) => name.startsWith("realclock-") && name !== cacheName
+            )
+            .map((name) => caches.delete(name))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+// network first, falling back to the cache, for GET requests to our own
+// files only, HEAD requests timing the Date header always go to the network
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== "GET" || url.origin !== self.location.origin) return;
+
+  const scope = new URL(self.registration.scope);
+  const path = url.pathname.slice(scope.pathname.length);
+  if (path.startsWith("api/")) return;
+
+  event.respondWith(
+    fetch(request)
+      .then((response) => {
+        // cached without the query string, so one copy serves every option
+        if (response.ok && appFiles.includes(`./${path}`)) {
+          const copy = response.clone();
+          url.search = "";
+          caches.open(cacheName).then((cache) => cache.put(url.href, copy));
+        }
+        return response;
+      })
+      .catch(() =>
+        caches
+          .match(request, { ignoreSearch: true })
+          .then((cached) => cached || Promise.reject(new Error("Offline")))
+      )
+  );
+});
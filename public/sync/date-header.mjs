@@ -0,0 +1,104 @@
+//
+// date-header.mjs
+//
+// Fallback sync from the HTTP Date header, for when the time endpoint is rate
+// limited, missing or blocked by CORS. Any same-origin resource will do, the
+// Date header is readable on every response.
+//
+// The header only counts whole seconds, but the moment it ticks over can be
+// found to much better than that. Each HEAD request bounds the offset: the
+// server stamped the header at some moment between sending the request and
+// receiving the reply, and its time then was within the second the header
+// names. Requests are timed so the server's second boundary falls in the
+// middle of them, by the current estimate, and each one halves the range the
+// offset can be in, down to about the round trip time.
+//
+// A proxy or CDN that caches responses with their Date header makes the
+// samples disagree, and the estimate starts over from the latest one.
+//
+// All times are in milliseconds. A +ve offset means the local clock is
+// running behind the server clock.
+//
+
+import { resolveUrl } from "./transport.mjs";
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// one HEAD request, with the local times it was sent and its reply received,
+// and the Date header of the reply, whatever its status
+export const fetchDateSample = async (url) => {
+  const sent = Date.now();
+  const response = await fetch(resolveUrl(url), {
+    method: "HEAD",
+    cache: "no-store",
+  });
+  const received = Date.now();
+
+  const date = Date.parse(response.headers.get("Date"));
+  if (!Number.isFinite(date)) {
+    throw new Error("Response has no Date header");
+  }
+  return { sent, received, date };
+};
+
+// estimate the offset from a few HEAD requests to `url`, stopping once the
+// error bound is within `targetErrorBound` or can't get any smaller
+// resolves with { offset, delay, errorBound, jitter, samples } like the clock
+// filter, see filter.mjs, where jitter is null, and each sample's method is
+// "date-header", as for the "samples" event in index.mjs
+export const measureDateHeaderOffset = async (
+  url,
+  { maxSamples = 10, targetErrorBound = 10 } = {}
+) => {
+  let low = -Infinity;
+  let high = Infinity;
+  let delay = Infinity;
+  const samples = [];
+
+  for (let i = 0; i < maxSamples; i++) {
+    // send the request so that, by the estimate so far, the server's second
+    // ticks over halfway through it
+    if (i > 0) {
+      const estimate = (low + high) / 2;
+      const now = Date.now();
+      let send = Math.ceil((now + estimate) / 1000) * 1000 - estimate;
+      send -= delay / 2;
+      while (send < now) send += 1000;
+      await wait(send - now);
+    }
+
+    const { sent, received, date } = await fetchDateSample(url);
+    const sampleLow = date - received;
+    const sampleHigh = date + 1000 - sent;
+    delay = Math.min(delay, received - sent);
+    samples.push({
+      time: received,
+      method: "date-header",
+      offset: (sampleLow + sampleHigh) / 2,
+      delay: received - sent,
+      accepted: true,
+    });
+
+    // samples that can't all be right, start over from this one
+    if (sampleLow > high || sampleHigh < low) {
+      for (const sample of samples) sample.accepted = false;
+      samples[samples.length - 1].accepted = true;
+      low = sampleLow;
+      high = sampleHigh;
+    } else {
+      low = Math.max(low, sampleLow);
+      high = Math.min(high, sampleHigh);
+    }
+
+    const errorBound = (high - low) / 2;
+    if (errorBound <= targetErrorBound || high - low <= delay + 2) break;
+  }
+
+  return {
+    offset: (low + high) / 2,
+    delay,
+    errorBound: (high - low) / 2,
+    jitter: null,
+    samples,
+  };
+};
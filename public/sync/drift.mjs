@@ -0,0 +1,74 @@
+//
+// drift.mjs
+//
+// Local clock frequency drift estimation.
+//
+// Each sync gives the offset between the local clock and the server at a
+// point in local time. A clock that runs fast or slow makes that offset
+// change steadily, so a straight line fitted through recent offsets tells
+// us both the drift rate and the offset to expect between syncs.
+//
+// Apart from wallClockBase(), pure functions only, like filter.mjs.
+//
+
+// a fit over a short span is dominated by measurement noise
+const MIN_POINTS = 3;
+const MIN_SPAN = 5 * 60 * 1000;
+
+// anything beyond this is not a real oscillator, more likely a clock adjustment
+const MAX_PPM = 500;
+
+// Weighted least squares fit of offset against local time, through points of
+// { time, offset, errorBound }, weighted by the inverse square of their error
+// bound. Returns null until there are enough points over a long enough span,
+// otherwise { ppm, predict }, where predict(time) gives the expected offset.
+export const fitDrift = (points) => {
+  const valid = points.filter(
+    (p) =>
+      Number.isFinite(p.time) &&
+      Number.isFinite(p.offset) &&
+      Number.isFinite(p.errorBound)
+  );
+  if (valid.length < MIN_POINTS) return null;
+
+  const times = valid.map((p) => p.time);
+  if (Math.max(...times) - Math.min(...times) < MIN_SPAN) return null;
+
+  // centre the times for numerical stability, epoch milliseconds are large
+  const origin = times.reduce((a, b) => a + b, 0) / times.length;
+
+  let sw = 0;
+  let sx = 0;
+  let sy = 0;
+  let sxx = 0;
+  let sxy = 0;
+  for (const p of valid) {
+    const w = 1 / Math.max(p.errorBound, 1) ** 2;
+    const x = p.time - origin;
+    sw += w;
+    sx += w * x;
+    sy += w * p.offset;
+    sxx += w * x * x;
+    sxy += w * x * p.offset;
+  }
+
+  const denominator = sw * sxx - sx * sx;
+  if (denominator <= 0) return null;
+
+  const slope = (sw * sxy - sx * sy) / denominator;
+  const intercept = (sy - slope * sx) / sw;
+
+  const ppm = slope * 1e6;
+  if (Math.abs(ppm) > MAX_PPM) return null;
+
+  return {
+    // +ve ppm means the local clock runs slow, the offset grows over time
+    ppm,
+    predict: (time) => intercept + slope * (time - origin),
+  };
+};
+
+// Difference between the wall clock and the monotonic clock. This stays
+// constant while the wall clock runs freely, and changes when the OS steps
+// the wall clock or the machine sleeps.
+export const wallClockBase = () => Date.now() - performance.now();
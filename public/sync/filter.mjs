@@ -0,0 +1,119 @@
+//
+// filter.mjs
+//
+// NTP style clock filter, combines the samples from several timestamp
+// exchanges into a single offset estimate with an error bound.
+//
+// Pure functions only, no DOM or network access, so it can be used and
+// tested in the browser or in Node.
+//
+// All times are in milliseconds. A +ve offset means the local clock is
+// running behind the server clock.
+//
+
+// resolution of the timestamps, Date.now() only counts whole milliseconds
+const RESOLUTION = 1;
+
+// scale factor from median absolute deviation to standard deviation
+const MAD_SCALE = 1.4826;
+
+// NTP on-wire calculation from the four timestamps of one exchange
+// assumes equal network latency in each direction
+export const calculateOffset = (
+  { originate, receive, transmit },
+  destination
+) => ({
+  offset: (receive - originate + (transmit - destination)) / 2,
+  delay: destination - originate - (transmit - receive),
+});
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+// Filter samples of { offset, delay } and estimate the true offset.
+//
+// - only the half of the samples with the lowest delay are considered, a
+//   short round trip leaves less room for asymmetric network latency
+// - of those, samples further than `outlierThreshold` standard deviations
+//   from the median offset are rejected
+// - the remaining samples are averaged, weighted by the inverse square of
+//   their delay
+//
+// The true offset of each sample lies within half its delay of the measured
+// offset, so the error bound is taken from the intersection of those ranges
+// across the accepted samples. If they don't overlap, e.g. because the local
+// clock was adjusted between samples, the bound falls back to half the lowest
+// delay plus the jitter.
+//
+// Returns null when there are no usable samples, otherwise
+// { offset, delay, errorBound, jitter, samples }, where samples is a copy of
+// the input with an `accepted` flag on each.
+export const filterSamples = (samples, { outlierThreshold = 3 } = {}) => {
+  const valid = samples.filter(
+    (s) => Number.isFinite(s.offset) && Number.isFinite(s.delay)
+  );
+  if (valid.length === 0) return null;
+
+  // delay can come out slightly negative from rounding, treat it as zero
+  const delayOf = (s) => Math.max(0, s.delay);
+
+  const byDelay = [...valid].sort((a, b) => delayOf(a) - delayOf(b));
+  const best = byDelay.slice(0, Math.ceil(byDelay.length / 2));
+  const minDelay = delayOf(best[0]);
+
+  // robust spread of the best samples, never tighter than the delay allows
+  const centre = median(best.map((s) => s.offset));
+  const mad = median(best.map((s) => Math.abs(s.offset - centre)));
+  const spread = Math.max(
+    outlierThreshold * MAD_SCALE * mad,
+    minDelay / 2,
+    RESOLUTION
+  );
+  const accepted = new Set(
+    best.filter((s) => Math.abs(s.offset - centre) <= spread)
+  );
+
+  let weightSum = 0;
+  let weightedOffset = 0;
+  for (const s of accepted) {
+    const weight = 1 / (delayOf(s) + RESOLUTION) ** 2;
+    weightSum += weight;
+    weightedOffset += weight * s.offset;
+  }
+  let offset = weightedOffset / weightSum;
+
+  let weightedSquares = 0;
+  for (const s of accepted) {
+    const weight = 1 / (delayOf(s) + RESOLUTION) ** 2;
+    weightedSquares += weight * (s.offset - offset) ** 2;
+  }
+  const jitter = Math.sqrt(weightedSquares / weightSum);
+
+  // intersect the ranges each accepted sample allows for the true offset
+  let low = -Infinity;
+  let high = Infinity;
+  for (const s of accepted) {
+    const half = delayOf(s) / 2 + RESOLUTION;
+    low = Math.max(low, s.offset - half);
+    high = Math.min(high, s.offset + half);
+  }
+
+  let errorBound;
+  if (low <= high) {
+    offset = Math.min(Math.max(offset, low), high);
+    errorBound = Math.max(offset - low, high - offset);
+  } else {
+    errorBound = minDelay / 2 + jitter + RESOLUTION;
+  }
+
+  return {
+    offset,
+    delay: minDelay,
+    errorBound,
+    jitter,
+    samples: samples.map((s) => ({ ...s, accepted: accepted.has(s) })),
+  };
+};
@@ -0,0 +1,535 @@
+//
+// index.mjs
+//
+// realclock sync engine, keeps an estimate of the offset between the local
+// clock and one or more realclock time servers.
+//
+//   import { createSync } from "./sync/index.mjs";
+//
+//   const sync = createSync({ url: "https://time.gock.net/api/time" });
+//   sync.on("sync", ({ offset, errorBound }) => console.log(offset, errorBound));
+//   await sync.start();
+//   console.log(new Date(sync.now()));
+//
+// With the leap second table from the server, the engine also keeps TAI, which
+// carries on through leap seconds, see leap.mjs:
+//
+//   sync.setLeapSeconds((await fetchLeapSeconds(url)).leapSeconds);
+//   console.log(new Date(sync.tai()));
+//
+// Works in the browser and in Node, using the global fetch, and WebSocket
+// where available. Outside a browser, server URLs have to be absolute.
+//
+// createStreamSync() is a lighter alternative with the same interface, which
+// follows the server's tick stream instead of measuring, see stream.mjs.
+//
+// With `dateHeaderUrl`, when no time endpoint answers, the engine falls back
+// to timing the Date header of that URL, see date-header.mjs.
+//
+// The last sync can be kept, e.g in localStorage, and restored on the next
+// visit, so the clock is corrected before the first sync, or while offline:
+//
+//   const sync = createSync({ restore: JSON.parse(localStorage.getItem("sync")) });
+//   sync.on("sync", () => localStorage.setItem("sync", JSON.stringify(sync.state)));
+//
+// Events:
+//   "sync"   after each successful sync, with { offset, errorBound, drift, consensus, servers }
+//   "jump"   when the local clock was stepped or the machine slept, with { jump }
+//   "notice" when a server pushes a notice over its WebSocket channel, with { url, ...notice }
+//   "error"  when a background sync fails, with the error
+//   "verify" after each Roughtime check of a sync, with { verified, error }
+//   "samples" after measuring each server, whether it worked or not, with
+//            { url, method, samples }, each sample { time, method, offset,
+//            delay, accepted }, or { time, method, error } for a failed
+//            request, a sample's method is how it was taken, as a burst
+//            that loses its WebSocket carries on over HTTP
+//
+
+import { filterSamples } from "./filter.mjs";
+import { fitDrift, wallClockBase } from "./drift.mjs";
+import { selectSources } from "./select.mjs";
+import { taiMinusUtcAt, taiToUtc } from "./leap.mjs";
+import { fetchTimeSample, openTimeSocket } from "./transport.mjs";
+import { measureDateHeaderOffset } from "./date-header.mjs";
+import { fetchRoughtime } from "./roughtime.mjs";
+
+export { fetchLeapSeconds, sendReport } from "./transport.mjs";
+export { fromTai, pendingLeapSecond, TAI_MINUS_GPS } from "./leap.mjs";
+export { createStreamSync, openTickStream } from "./stream.mjs";
+export { fetchDateSample, measureDateHeaderOffset } from "./date-header.mjs";
+
+// don't let our timers keep a Node process alive
+const unref = (timer) => {
+  if (timer && typeof timer.unref === "function") timer.unref();
+  return timer;
+};
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// how fast the error bound grows after a sync, in ppm, NTP's frequency
+// tolerance while the drift is corrected for, and a generous one for a quartz
+// clock while it isn't known
+const DRIFT_TOLERANCE = 15;
+const UNKNOWN_DRIFT_TOLERANCE = 100;
+
+// measure the time offset of server several times, then combine the samples
+// with the clock filter, which rejects outliers and gives an error bound
+// a WebSocket channel is much cheaper per sample, so take more samples over it,
+// otherwise fall back to HTTP requests to the time endpoint
+// `onSamples` is called with every sample taken, see the "samples" event
+// the estimate's method is the one the last sample was taken with
+const measureServerTimeOffset = async (serverUrl, channel, onSamples) => {
+  const samples = [];
+  let server = null;
+  let lastError = null;
+  const useSocket = channel && channel.isOpen();
+  let method = useSocket ? "websocket" : "http";
+  const numberOfRequests = useSocket ? 16 : 5;
+  const delayPerRequest = useSocket ? 50 : 100;
+
+  for (let i = 0; i < numberOfRequests; i++) {
+    // a failed sample is skipped, the filter copes with fewer samples
+    method = channel && channel.isOpen() ? "websocket" : "http";
+    try {
+      const result =
+        method === "websocket"
+          ? await channel.sample()
+          : await fetchTimeSample(serverUrl);
+      samples.push({
+        time: Date.now(),
+        method,
+        offset: result.offset,
+        delay: result.delay,
+      });
+      server = result.server;
+    } catch (error) {
+      samples.push({ time: Date.now(), method, error: error.message });
+      lastError = error;
+    }
+
+    // delay before the next request
+    if (i < numberOfRequests - 1) await wait(delayPerRequest);
+  }
+
+  const estimate = filterSamples(samples);
+  onSamples({
+    method,
+    samples: estimate
+      ? estimate.samples
+      : samples.map((s) => ({ ...s, accepted: false })),
+  });
+  if (!estimate) throw lastError;
+
+  // the server's own sync status, from the latest response
+  return { ...estimate, method, server };
+};
+
+export const createSync = ({
+  // a time endpoint, or a list of them for multi-server consensus
+  url = "/api/time",
+
+  // resync often at first so drift can be measured, then back off
+  minResyncInterval = 60 * 1000,
+  maxResyncInterval = 16 * 60 * 1000,
+
+  // number of past syncs kept for the drift estimate
+  driftHistorySize = 24,
+
+  // a change between the wall clock and the monotonic clock larger than this,
+  // in milliseconds, means the local clock was stepped or the machine slept
+  jumpThreshold = 100,
+
+  // check each sync against a signed Roughtime reply, { publicKey, url }
+  // where publicKey is the server's base64 long-term key, and url defaults
+  // to the first time endpoint
+  roughtime = null,
+
+  // a same-origin URL whose Date header is timed when no time endpoint
+  // answers, e.g the page itself
+  dateHeaderUrl = null,
+
+  // the `state` of an earlier instance, used until the first sync
+  restore = null,
+} = {}) => {
+  const listeners = new Map();
+
+  // time servers to sync with, each with its own channel and last estimate
+  const servers = (Array.isArray(url) ? url : [url]).map((url) => ({
+    url,
+    channel: null,
+    estimate: null,
+    status: null,
+    error: null,
+    selected: false,
+  }));
+
+  // +ve offset means local clock is running behind server clock
+  // offsets are measured against UTC, and history is kept that way too
+  let measuredOffset = 0;
+  let errorBound = null;
+  let consensus = true;
+  let method = null;
+  let lastSyncTime = null;
+  let syncHistory = [];
+  let drift = null;
+  let resyncInterval = minResyncInterval;
+  let resyncTimer = null;
+  let jumpTimer = null;
+  let syncing = null;
+  let jumped = false;
+  let clockBase = wallClockBase();
+  let leapSeconds = [];
+
+  // drift rate restored from an earlier instance, until it is measured again
+  let restoredDrift = null;
+  if (restore) {
+    measuredOffset = restore.offset;
+    errorBound = restore.errorBound;
+    lastSyncTime = restore.time;
+    restoredDrift = restore.drift;
+  }
+
+  // result of the last Roughtime check, null when not checked
+  let verified = null;
+  let verifyError = null;
+
+  const emit = (event, detail) => {
+    for (const handler of listeners.get(event) || []) handler(detail);
+  };
+
+  // offset from TAI rather than UTC, which doesn't step at a leap second, so
+  // the drift estimate carries on across one
+  const toTaiOffset = (time, offset) =>
+    offset + taiMinusUtcAt(leapSeconds, time + offset) * 1000;
+
+  const fitHistory = () =>
+    fitDrift(
+      syncHistory.map((p) => ({ ...p, offset: toTaiOffset(p.time, p.offset) }))
+    );
+
+  // the TAI offset to apply right now, follows the drift estimate between syncs
+  const getTaiOffset = (now = Date.now()) => {
+    if (drift) return drift.predict(now);
+    const time = lastSyncTime === null ? now : lastSyncTime;
+    const offset = toTaiOffset(time, measuredOffset);
+    return restoredDrift === null
+      ? offset
+      : offset + restoredDrift * 1e-6 * (now - time);
+  };
+
+  // the UTC offset to apply right now, the same as the TAI offset without a
+  // leap second table
+  const getOffset = (now = Date.now()) =>
+    taiToUtc(leapSeconds, now + getTaiOffset(now)).time - now;
+
+  // prefer a persistent WebSocket channel, fall back to HTTP requests if
+  // the server doesn't accept one
+  const openChannel = async (server) => {
+    try {
+      const channel = await openTimeSocket(server.url);
+
+      // the server pushes a notice e.g when its own sync status changes
+      channel.onNotice = (notice) => {
+        if (notice.event === "server-status") server.status = notice.server;
+        emit("notice", { url: server.url, ...notice });
+      };
+      return channel;
+    } catch {
+      return null;
+    }
+  };
+
+  // take a filtered offset estimate from one server
+  const measureServer = async (server) => {
+    try {
+      if (!server.channel || !server.channel.isOpen()) {
+        server.channel = await openChannel(server);
+      }
+
+      // this will take several samples and return the filtered offset and its error bound
+      const { server: status, ...estimate } = await measureServerTimeOffset(
+        server.url,
+        server.channel,
+        (detail) => emit("samples", { url: server.url, ...detail })
+      );
+      server.estimate = estimate;
+      server.status = status;
+      server.error = null;
+    } catch (error) {
+      server.estimate = null;
+      server.error = error;
+    }
+  };
+
+  const runSync = async () => {
+    jumped = false;
+    clearTimeout(resyncTimer);
+
+    try {
+      // calculate how far out local clock is by fetching real time from every server
+      await Promise.all(servers.map(measureServer));
+
+      const reachable = servers.filter((s) => s.estimate);
+      if (reachable.length === 0 && !dateHeaderUrl) throw servers[0].error;
+
+      // with no time endpoint answering, time the Date header instead
+      const dateHeaderEstimate =
+        reachable.length === 0
+          ? await measureDateHeaderOffset(dateHeaderUrl)
+          : null;
+      if (dateHeaderEstimate) {
+        emit("samples", {
+          url: dateHeaderUrl,
+          method: "date-header",
+          samples: dateHeaderEstimate.samples,
+        });
+      }
+
+      // samples taken across a clock jump can't be trusted, measure again
+      if (jumped) return;
+
+      let estimate;
+      if (dateHeaderEstimate) {
+        consensus = true;
+        estimate = dateHeaderEstimate;
+        method = "date-header";
+        for (const server of servers) server.selected = false;
+      } else {
+        // discard falsetickers, and combine the servers that agree
+        // a server's own estimated error adds to the error of our measurement
+        const selection = selectSources(
+          servers.map((server) => ({
+            server,
+            offset: server.estimate ? server.estimate.offset : null,
+            errorBound: server.estimate
+              ? server.estimate.errorBound +
+                ((server.status && server.status.estimatedErrorMs) || 0)
+              : null,
+          }))
+        );
+
+        // without a majority there's no telling who is right, so fall back
+        // to the first server in the list that answered
+        consensus = selection !== null;
+        estimate = consensus ? selection : reachable[0].estimate;
+        for (const server of servers) {
+          server.selected = consensus
+            ? selection.sources.some((s) => s.server === server && s.selected)
+            : server === reachable[0];
+        }
+        method = servers.find((s) => s.selected).estimate.method;
+      }
+
+      const now = Date.now();
+      measuredOffset = estimate.offset;
+      errorBound = estimate.errorBound;
+      lastSyncTime = now;
+      clockBase = wallClockBase();
+
+      syncHistory = [
+        ...syncHistory,
+        { time: now, offset: estimate.offset, errorBound },
+      ].slice(-driftHistorySize);
+      drift = fitHistory();
+
+      resyncInterval = Math.min(resyncInterval * 2, maxResyncInterval);
+
+      emit("sync", {
+        offset: getOffset(now),
+        errorBound,
+        drift: instance.drift,
+        consensus,
+        servers: instance.servers,
+      });
+
+      if (roughtime) verify();
+    } finally {
+      syncing = null;
+      if (jumpTimer !== null) {
+        resyncTimer = unref(
+          setTimeout(backgroundSync, jumped ? 0 : resyncInterval)
+        );
+      }
+    }
+  };
+
+  // the server's time was midpoint ± radius at some moment between sending
+  // the Roughtime request and receiving the reply, the corrected clock must
+  // agree with that, give or take the error bound of the offset
+  const verify = async () => {
+    try {
+      const { midpoint, radius, sent, received } = await fetchRoughtime(
+        roughtime.url || servers[0].url,
+        roughtime.publicKey
+      );
+      const earliest = sent + getOffset(sent) - errorBound;
+      const latest = received + getOffset(received) + errorBound;
+      verified = midpoint + radius >= earliest && midpoint - radius <= latest;
+      verifyError = verified
+        ? null
+        : new Error("Roughtime time does not match the measured offset");
+    } catch (error) {
+      // no Ed25519 support says nothing about the server
+      verified = error.name === "NotSupportedError" ? null : false;
+      verifyError = error;
+    }
+    emit("verify", { verified, error: verifyError });
+  };
+
+  // measure the offset, add it to the drift history and schedule the next sync
+  // a sync already in progress is shared rather than started twice
+  const sync = () => {
+    if (!syncing) syncing = runSync();
+    return syncing;
+  };
+
+  // later syncs keep the last good estimate if they fail
+  const backgroundSync = () => {
+    sync().catch((error) => emit("error", error));
+  };
+
+  // the local clock was stepped, or the machine slept, so past offsets no
+  // longer apply, start the drift estimate over and resync immediately
+  const checkForJump = () => {
+    const base = wallClockBase();
+    const jump = base - clockBase;
+    if (Math.abs(jump) <= jumpThreshold) return;
+
+    clockBase = base;
+    jumped = true;
+    syncHistory = [];
+    drift = null;
+    resyncInterval = minResyncInterval;
+    emit("jump", { jump });
+    if (!syncing) backgroundSync();
+  };
+
+  const instance = {
+    // corrected time, in milliseconds past Unix epoch
+    now: () => {
+      const now = Date.now();
+      return now + getOffset(now);
+    },
+
+    // corrected time on TAI, in milliseconds past 1970-01-01T00:00:00 TAI
+    tai: () => {
+      const now = Date.now();
+      return now + getTaiOffset(now);
+    },
+
+    // current offset of the local clock, +ve means it is running behind
+    get offset() {
+      return getOffset();
+    },
+
+    // error bound of the offset from the last sync, null before the first
+    get errorBound() {
+      return errorBound;
+    },
+
+    // drift rate of the local clock in ppm, null until enough syncs
+    get drift() {
+      return drift ? drift.ppm : restoredDrift;
+    },
+
+    // the error bound grown by how far the local clock may have drifted
+    // since the last sync, null before the first
+    get currentErrorBound() {
+      if (errorBound === null) return null;
+      const tolerance =
+        instance.drift === null ? UNKNOWN_DRIFT_TOLERANCE : DRIFT_TOLERANCE;
+      return (
+        errorBound + tolerance * 1e-6 * Math.abs(Date.now() - lastSyncTime)
+      );
+    },
+
+    get lastSyncTime() {
+      return lastSyncTime;
+    },
+
+    // the last sync, for createSync({ restore }), null before the first
+    get state() {
+      if (lastSyncTime === null) return null;
+      return {
+        time: lastSyncTime,
+        offset: getOffset(lastSyncTime),
+        errorBound,
+        drift: instance.drift,
+      };
+    },
+
+    // false when the servers could not agree on the time
+    get consensus() {
+      return consensus;
+    },
+
+    // how the last sync was measured, "websocket", "http" or "date-header",
+    // null before the first
+    get method() {
+      return method;
+    },
+
+    // true when the last sync was confirmed by a signed Roughtime reply, false
+    // when it couldn't be, null when not checked
+    get verified() {
+      return verified;
+    },
+
+    // per server breakdown of the last sync
+    get servers() {
+      return servers.map(({ url, estimate, status, error, selected }) => ({
+        url,
+        estimate,
+        status,
+        error,
+        selected,
+      }));
+    },
+
+    // leap second table, a list of { milliseconds, taiMinusUtc } as served by
+    // /api/leap-seconds, empty until set
+    get leapSeconds() {
+      return leapSeconds;
+    },
+
+    setLeapSeconds: (table) => {
+      leapSeconds = [...table].sort((a, b) => a.milliseconds - b.milliseconds);
+      drift = fitHistory();
+    },
+
+    on: (event, handler) => {
+      if (!listeners.has(event)) listeners.set(event, new Set());
+      listeners.get(event).add(handler);
+      return () => instance.off(event, handler);
+    },
+
+    off: (event, handler) => {
+      if (listeners.has(event)) listeners.get(event).delete(handler);
+    },
+
+    // start syncing, resolves after the first sync, which is retried in the
+    // background if it fails
+    start: () => {
+      if (jumpTimer === null) {
+        clockBase = wallClockBase();
+        jumpTimer = unref(setInterval(checkForJump, 1000));
+      }
+      return sync();
+    },
+
+    // sync immediately, outside the regular schedule
+    sync,
+
+    stop: () => {
+      clearInterval(jumpTimer);
+      clearTimeout(resyncTimer);
+      jumpTimer = null;
+      for (const server of servers) {
+        if (server.channel) server.channel.close();
+        server.channel = null;
+      }
+    },
+  };
+
+  return instance;
+};
@@ -0,0 +1,61 @@
+//
+// leap.mjs
+//
+// Leap seconds, and conversion between the UTC, TAI and GPS time scales.
+//
+// Leap seconds are given as the table from /api/leap-seconds, a list of
+// { milliseconds, taiMinusUtc }, where milliseconds is the UTC time the new
+// TAI - UTC offset applies from. TAI runs without leap seconds, so the sync
+// engine keeps its offset on TAI, and converts to UTC when asked for the time.
+//
+
+// GPS time was set to UTC at its epoch, when TAI - UTC was 19 s, and has not
+// followed leap seconds since
+export const TAI_MINUS_GPS = 19;
+
+// TAI - UTC in seconds at `utc`, 0 without a table
+export const taiMinusUtcAt = (leapSeconds, utc) => {
+  let offset = leapSeconds.length > 0 ? leapSeconds[0].taiMinusUtc : 0;
+  for (const entry of leapSeconds) {
+    if (entry.milliseconds > utc) break;
+    offset = entry.taiMinusUtc;
+  }
+  return offset;
+};
+
+export const utcToTai = (leapSeconds, utc) =>
+  utc + taiMinusUtcAt(leapSeconds, utc) * 1000;
+
+// convert TAI to UTC, milliseconds past Unix epoch on each scale
+// during an inserted leap second, UTC repeats 23:59:59 the way the Unix clock
+// does, and `leap` is true so it can be shown as 23:59:60
+export const taiToUtc = (leapSeconds, tai) => {
+  for (let i = leapSeconds.length - 1; i >= 0; i--) {
+    const entry = leapSeconds[i];
+    if (tai >= entry.milliseconds + entry.taiMinusUtc * 1000) {
+      return { time: tai - entry.taiMinusUtc * 1000, leap: false };
+    }
+
+    // still on the previous offset, unless inside the leap second itself
+    const previous = i > 0 ? leapSeconds[i - 1].taiMinusUtc : null;
+    if (previous !== null && tai >= entry.milliseconds + previous * 1000) {
+      const into = tai - (entry.milliseconds + previous * 1000);
+      return { time: entry.milliseconds - 1000 + (into % 1000), leap: true };
+    }
+  }
+
+  const first = leapSeconds.length > 0 ? leapSeconds[0].taiMinusUtc : 0;
+  return { time: tai - first * 1000, leap: false };
+};
+
+// TAI time on the given scale, "utc", "tai" or "gps", as milliseconds past
+// 1970-01-01T00:00:00 on that scale, so Date's UTC methods work on all of them
+export const fromTai = (leapSeconds, tai, scale) => {
+  if (scale === "tai") return { time: tai, leap: false };
+  if (scale === "gps") return { time: tai - TAI_MINUS_GPS * 1000, leap: false };
+  return taiToUtc(leapSeconds, tai);
+};
+
+// the next leap second after `utc`, or null
+export const pendingLeapSecond = (leapSeconds, utc) =>
+  leapSeconds.find((entry) => entry.milliseconds > utc) || null;
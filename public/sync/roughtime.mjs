@@ -0,0 +1,216 @@
+//
+// roughtime.mjs
+//
+// Roughtime client, checks the time from a realclock server with a signed
+// reply, following Google's original Roughtime protocol. The JSON time
+// endpoint can be spoofed by anyone on the path, a Roughtime reply can't
+// without the server's private key, so it is used to confirm the offset
+// measured over JSON.
+//
+// Uses WebCrypto for Ed25519 and SHA-512, which every current browser and
+// Node has, verifyReply() throws a NotSupportedError where it is missing.
+//
+
+import { resolveUrl } from "./transport.mjs";
+
+const MIN_REQUEST_SIZE = 1024;
+const NONCE_SIZE = 64;
+
+const RESPONSE_CONTEXT = "RoughTime v1 response signature\0";
+const DELEGATION_CONTEXT = "RoughTime v1 delegation signature--\0";
+
+const encoder = new TextEncoder();
+
+const concat = (...arrays) => {
+  const result = new Uint8Array(arrays.reduce((n, a) => n + a.length, 0));
+  let offset = 0;
+  for (const array of arrays) {
+    result.set(array, offset);
+    offset += array.length;
+  }
+  return result;
+};
+
+const equal = (a, b) => a.length === b.length && a.every((v, i) => v === b[i]);
+
+const tagName = (bytes) => String.fromCharCode(...bytes).replace(/\0+$/, "");
+
+// parse a message into a Map of tag to value, throws if it is malformed
+const parseMessage = (bytes) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  if (bytes.length < 4) throw new Error("Roughtime message too short");
+  const count = view.getUint32(0, true);
+  const headerSize = 4 + 4 * Math.max(count - 1, 0) + 4 * count;
+  if (count === 0 || headerSize > bytes.length) {
+    throw new Error("Roughtime message header is invalid");
+  }
+
+  const valuesSize = bytes.length - headerSize;
+  const offsets = [0];
+  for (let i = 1; i < count; i++) offsets.push(view.getUint32(4 * i, true));
+  offsets.push(valuesSize);
+
+  const message = new Map();
+  for (let i = 0; i < count; i++) {
+    const start = offsets[i];
+    const end = offsets[i + 1];
+    if (start % 4 !== 0 || end < start || end > valuesSize) {
+      throw new Error("Roughtime message offsets are invalid");
+    }
+    const tagStart = 4 * count + 4 * i;
+    message.set(
+      tagName(bytes.subarray(tagStart, tagStart + 4)),
+      bytes.subarray(headerSize + start, headerSize + end)
+    );
+  }
+  return message;
+};
+
+const getTag = (message, tag, size) => {
+  const value = message.get(tag);
+  if (!value || (size !== undefined && value.length !== size)) {
+    throw new Error(`Roughtime reply has no valid ${tag}`);
+  }
+  return value;
+};
+
+const readUint32 = (bytes) =>
+  new DataView(bytes.buffer, bytes.byteOffset, 4).getUint32(0, true);
+
+// microseconds as a uint64, to milliseconds
+const readMicroseconds = (bytes) =>
+  Number(
+    new DataView(bytes.buffer, bytes.byteOffset, 8).getBigUint64(0, true)
+  ) / 1000;
+
+const sha512 = async (...arrays) =>
+  new Uint8Array(await crypto.subtle.digest("SHA-512", concat(...arrays)));
+
+const verifySignature = (key, context, message, signature) =>
+  crypto.subtle.verify(
+    "Ed25519",
+    key,
+    signature,
+    concat(encoder.encode(context), message)
+  );
+
+const fromBase64 = (text) =>
+  Uint8Array.from(atob(text), (c) => c.charCodeAt(0));
+
+// a request with a random nonce, padded to the minimum size, the nonce is
+// kept to check the reply against
+export const createRequest = () => {
+  const nonce = crypto.getRandomValues(new Uint8Array(NONCE_SIZE));
+
+  // two tags, NONC and PAD\xff, the padding fills the rest
+  const header = new Uint8Array(4 + 4 + 8);
+  const view = new DataView(header.buffer);
+  view.setUint32(0, 2, true);
+  view.setUint32(4, NONCE_SIZE, true);
+  header.set(encoder.encode("NONC"), 8);
+  header.set([0x50, 0x41, 0x44, 0xff], 12);
+  const padding = new Uint8Array(MIN_REQUEST_SIZE - header.length - NONCE_SIZE);
+
+  return { nonce, body: concat(header, nonce, padding) };
+};
+
+// check a reply against the nonce of our request and the server's long-term
+// public key, base64 encoded, resolves with { midpoint, radius } in
+// milliseconds, throws if anything doesn't check out
+export const verifyReply = async (reply, nonce, publicKey) => {
+  const message = parseMessage(reply);
+  const signature = getTag(message, "SIG", 64);
+  const path = getTag(message, "PATH");
+  const signedResponse = getTag(message, "SREP");
+  const certificate = parseMessage(getTag(message, "CERT"));
+  let index = readUint32(getTag(message, "INDX", 4));
+
+  const rootKey = await crypto.subtle.importKey(
+    "raw",
+    fromBase64(publicKey),
+    "Ed25519",
+    false,
+    ["verify"]
+  );
+
+  // the long-term key delegates to an online key for a limited time
+  const delegation = getTag(certificate, "DELE");
+  if (
+    !(await verifySignature(
+      rootKey,
+      DELEGATION_CONTEXT,
+      delegation,
+      getTag(certificate, "SIG", 64)
+    ))
+  ) {
+    throw new Error("Roughtime delegation signature is invalid");
+  }
+  const dele = parseMessage(delegation);
+  const onlineKey = await crypto.subtle.importKey(
+    "raw",
+    getTag(dele, "PUBK", 32),
+    "Ed25519",
+    false,
+    ["verify"]
+  );
+
+  // the online key signs the time and the root of the batch
+  if (
+    !(await verifySignature(
+      onlineKey,
+      RESPONSE_CONTEXT,
+      signedResponse,
+      signature
+    ))
+  ) {
+    throw new Error("Roughtime reply signature is invalid");
+  }
+  const srep = parseMessage(signedResponse);
+  const midpoint = readMicroseconds(getTag(srep, "MIDP", 8));
+  const radius = readUint32(getTag(srep, "RADI", 4)) / 1000;
+
+  if (
+    midpoint < readMicroseconds(getTag(dele, "MINT", 8)) ||
+    midpoint > readMicroseconds(getTag(dele, "MAXT", 8))
+  ) {
+    throw new Error("Roughtime reply is outside its delegation");
+  }
+
+  // our nonce must be a leaf of the signed batch
+  if (path.length % 64 !== 0) throw new Error("Roughtime path is invalid");
+  let hash = await sha512(new Uint8Array([0]), nonce);
+  for (let i = 0; i < path.length; i += 64) {
+    const sibling = path.subarray(i, i + 64);
+    hash =
+      index & 1
+        ? await sha512(new Uint8Array([1]), sibling, hash)
+        : await sha512(new Uint8Array([1]), hash, sibling);
+    index >>>= 1;
+  }
+  if (!equal(hash, getTag(srep, "ROOT", 64))) {
+    throw new Error("Roughtime reply does not match our nonce");
+  }
+
+  return { midpoint, radius };
+};
+
+// the Roughtime endpoint lives next to the time endpoint, e.g /api/roughtime
+// for /api/time, resolves with the verified { midpoint, radius } and the local
+// times the request was sent and the reply received
+export const fetchRoughtime = async (serverUrl, publicKey) => {
+  const { nonce, body } = createRequest();
+  const sent = Date.now();
+  const response = await fetch(new URL("roughtime", resolveUrl(serverUrl)), {
+    method: "POST",
+    headers: { "Content-Type": "application/octet-stream" },
+    body,
+    cache: "no-store",
+  });
+  if (!response.ok) {
+    throw new Error(`Time server responded with status ${response.status}`);
+  }
+  const reply = new Uint8Array(await response.arrayBuffer());
+  const received = Date.now();
+
+  return { ...(await verifyReply(reply, nonce, publicKey)), sent, received };
+};
@@ -0,0 +1,81 @@
+//
+// select.mjs
+//
+// Combines the offset estimates from several time servers, discarding
+// falsetickers, servers whose estimate disagrees with the majority.
+//
+// Uses Marzullo's algorithm, as in the NTP clock select algorithm. Each
+// server says the true offset lies within offset ± errorBound. The region
+// where the most of those intervals overlap is taken as the true offset,
+// and servers whose interval doesn't contain it are falsetickers.
+//
+// Pure functions only, like filter.mjs.
+//
+
+// Select from sources of { offset, errorBound }, plus any other properties.
+//
+// Returns null when there are no sources, or no majority of them agree.
+// Otherwise { offset, errorBound, sources }, where sources is a copy of the
+// input with a `selected` flag on each. The combined offset is the average
+// of the selected sources, weighted by the inverse square of their error
+// bound, and the error bound comes from the region where they all agree.
+export const selectSources = (sources) => {
+  const valid = sources.filter(
+    (s) => Number.isFinite(s.offset) && Number.isFinite(s.errorBound)
+  );
+  if (valid.length === 0) return null;
+
+  const intervals = valid.map((s) => ({
+    source: s,
+    low: s.offset - Math.abs(s.errorBound),
+    high: s.offset + Math.abs(s.errorBound),
+  }));
+
+  // sweep through the interval edges, starts sort before ends at the same
+  // value, so intervals that just touch still count as agreeing
+  const edges = [];
+  for (const { low, high } of intervals) {
+    edges.push({ value: low, type: 1 }, { value: high, type: -1 });
+  }
+  edges.sort((a, b) => a.value - b.value || b.type - a.type);
+
+  let count = 0;
+  let bestCount = 0;
+  let bestLow = 0;
+  let bestHigh = 0;
+  for (let i = 0; i < edges.length; i++) {
+    count += edges[i].type;
+    if (edges[i].type === 1 && count > bestCount) {
+      bestCount = count;
+      bestLow = edges[i].value;
+      bestHigh = edges[i + 1].value;
+    }
+  }
+
+  // a majority of all sources, including unusable ones, has to agree
+  if (bestCount <= sources.length / 2) return null;
+
+  const truechimers = new Set(
+    intervals
+      .filter(({ low, high }) => low <= bestLow && high >= bestHigh)
+      .map(({ source }) => source)
+  );
+
+  let weightSum = 0;
+  let weightedOffset = 0;
+  for (const s of truechimers) {
+    const weight = 1 / Math.max(Math.abs(s.errorBound), 1) ** 2;
+    weightSum += weight;
+    weightedOffset += weight * s.offset;
+  }
+  const offset = Math.min(
+    Math.max(weightedOffset / weightSum, bestLow),
+    bestHigh
+  );
+
+  return {
+    offset,
+    errorBound: Math.max(offset - bestLow, bestHigh - offset),
+    sources: sources.map((s) => ({ ...s, selected: truechimers.has(s) })),
+  };
+};
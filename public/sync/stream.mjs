@@ -0,0 +1,260 @@
+//
+// stream.mjs
+//
+// Lightweight sync from the server's Server-Sent Events tick stream, for
+// displays that only need the time to about the nearest tenth of a second.
+//
+//   import { createStreamSync } from "./sync/index.mjs";
+//
+//   const sync = createStreamSync({ url: "https://time.gock.net/api/time" });
+//   await sync.start();
+//   console.log(new Date(sync.now()));
+//
+// One persistent connection instead of bursts of requests, but only one-way:
+// each tick says when the server sent it, not how long it took to arrive, so
+// the offset is only known to be at least the one measured. The tick that
+// arrived quickest of the recent ones gives the estimate, and there is no
+// error bound, drift, multi-server consensus or Roughtime check.
+//
+// Has the same interface as createSync(), with errorBound and drift always
+// null, and method always "stream". Needs EventSource, which every browser
+// has but Node doesn't.
+//
+// The error bound is null rather than a number because none can be given:
+// a tick's offset is the real one less however long the tick took to arrive,
+// and without a round trip that delay is unknown. The spacing of the ticks
+// only shows how much the delay varies, a delay that stays at e.g two
+// seconds looks the same as none, so any bound from it would be a guess.
+//
+// Events:
+//   "sync"   after each tick, with
+//            { offset, errorBound, drift, consensus, servers }
+//   "jump"   when the local clock was stepped or the machine slept, with
+//            { jump }
+//   "error"  when the stream disconnects, it reconnects by itself
+//   "samples" after each tick, with the tick's own offset, as for createSync()
+//
+
+import { wallClockBase } from "./drift.mjs";
+import { taiMinusUtcAt } from "./leap.mjs";
+import { resolveUrl } from "./transport.mjs";
+
+// open the tick stream, which lives next to the time endpoint, e.g
+// /api/stream for /api/time, onTick is called with each tick and the local
+// time it was received, see lib/tick-stream.js for the server side
+export const openTickStream = (
+  serverUrl,
+  { interval = 1, tz = null, onTick, onError } = {}
+) => {
+  if (typeof EventSource === "undefined") {
+    throw new Error("EventSource is not available");
+  }
+
+  const url = new URL("stream", resolveUrl(serverUrl));
+  url.search = "";
+  if (interval !== 1) url.searchParams.set("interval", interval);
+  if (tz) url.searchParams.set("tz", tz);
+
+  const source = new EventSource(url);
+  source.addEventListener("tick", (event) => {
+    const received = Date.now();
+    if (onTick) onTick({ ...JSON.parse(event.data), received });
+  });
+  source.addEventListener("error", () => {
+    if (onError) onError(new Error("Tick stream disconnected"));
+  });
+
+  return { close: () => source.close() };
+};
+
+export const createStreamSync = ({
+  // a time endpoint, with a list only the first one is used
+  url = "/api/time",
+
+  // number of recent ticks the offset is estimated from
+  windowSize = 16,
+
+  // as for createSync()
+  jumpThreshold = 100,
+} = {}) => {
+  const serverUrl = Array.isArray(url) ? url[0] : url;
+  const listeners = new Map();
+
+  let stream = null;
+  let ticks = [];
+  let measuredOffset = 0;
+  let lastSyncTime = null;
+  let status = null;
+  let error = null;
+  let clockBase = wallClockBase();
+  let leapSeconds = [];
+
+  // callbacks waiting for the next tick, from start() and sync()
+  let waiting = [];
+
+  const emit = (event, detail) => {
+    for (const handler of listeners.get(event) || []) handler(detail);
+  };
+
+  const getOffset = () => measuredOffset;
+
+  // +ve offset means local clock is running behind server clock
+  // the tick can only have taken time to arrive, so the largest apparent
+  // offset is closest to the real one
+  const onTick = (tick) => {
+    // ticks from before the local clock was stepped no longer apply
+    const base = wallClockBase();
+    const jump = base - clockBase;
+    if (Math.abs(jump) > jumpThreshold) {
+      clockBase = base;
+      ticks = [];
+      emit("jump", { jump });
+    }
+
+    const tickOffset = tick.transmit - tick.received;
+    ticks = [...ticks, tickOffset].slice(-windowSize);
+    measuredOffset = Math.max(...ticks);
+    lastSyncTime = tick.received;
+    status = tick.server;
+    error = null;
+
+    for (const { resolve } of waiting) resolve();
+    waiting = [];
+
+    // a one-way tick has no round trip delay
+    emit("samples", {
+      url: serverUrl,
+      method: "stream",
+      samples: [
+        {
+          time: tick.received,
+          offset: tickOffset,
+          delay: null,
+          accepted: tickOffset === measuredOffset,
+        },
+      ],
+    });
+
+    emit("sync", {
+      offset: measuredOffset,
+      errorBound: null,
+      drift: null,
+      consensus: true,
+      servers: instance.servers,
+    });
+  };
+
+  const onError = (streamError) => {
+    error = streamError;
+    for (const { reject } of waiting) reject(streamError);
+    waiting = [];
+    emit("error", streamError);
+  };
+
+  // resolves on the next tick
+  const nextTick = () =>
+    new Promise((resolve, reject) => waiting.push({ resolve, reject }));
+
+  const instance = {
+    now: () => {
+      const now = Date.now();
+      return now + getOffset();
+    },
+
+    tai: () => {
+      const utc = instance.now();
+      return utc + taiMinusUtcAt(leapSeconds, utc) * 1000;
+    },
+
+    get offset() {
+      return getOffset();
+    },
+
+    // a one-way measurement has no error bound, see above
+    get errorBound() {
+      return null;
+    },
+
+    get drift() {
+      return null;
+    },
+
+    get currentErrorBound() {
+      return null;
+    },
+
+    get lastSyncTime() {
+      return lastSyncTime;
+    },
+
+    // nothing to restore, the stream gives an estimate within a second
+    get state() {
+      return null;
+    },
+
+    get consensus() {
+      return true;
+    },
+
+    get method() {
+      return "stream";
+    },
+
+    get verified() {
+      return null;
+    },
+
+    get servers() {
+      return [
+        {
+          url: serverUrl,
+          estimate:
+            lastSyncTime === null
+              ? null
+              : { offset: measuredOffset, errorBound: null },
+          status,
+          error,
+          selected: true,
+        },
+      ];
+    },
+
+    get leapSeconds() {
+      return leapSeconds;
+    },
+
+    setLeapSeconds: (table) => {
+      leapSeconds = [...table].sort((a, b) => a.milliseconds - b.milliseconds);
+    },
+
+    on: (event, handler) => {
+      if (!listeners.has(event)) listeners.set(event, new Set());
+      listeners.get(event).add(handler);
+      return () => instance.off(event, handler);
+    },
+
+    off: (event, handler) => {
+      if (listeners.has(event)) listeners.get(event).delete(handler);
+    },
+
+    // open the stream, resolves on the first tick, rejects if the stream
+    // fails before then, and keeps reconnecting either way
+    start: () => {
+      if (!stream) {
+        clockBase = wallClockBase();
+        stream = openTickStream(serverUrl, { onTick, onError });
+      }
+      return nextTick();
+    },
+
+    // the stream keeps the estimate current, this waits for the next tick
+    sync: () => nextTick(),
+
+    stop: () => {
+      if (stream) stream.close();
+      stream = null;
+    },
+  };
+
+  return instance;
+};
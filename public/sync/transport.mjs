@@ -0,0 +1,154 @@
+//
+// transport.mjs
+//
+// Ways of taking a single timestamp sample from a time server. Each sample
+// resolves with { offset, delay, server }, where server is the server's own
+// sync status from its response.
+//
+// Works in the browser and in Node, using the global fetch and WebSocket.
+// Outside a browser, server URLs have to be absolute.
+//
+
+import { calculateOffset } from "./filter.mjs";
+
+// resolve a possibly relative URL against the page, when there is one
+export const resolveUrl = (url) =>
+  new URL(url, globalThis.location ? globalThis.location.href : undefined);
+
+// calculate the offset of API server time compared with local time, in milliseconds
+// uses the NTP four timestamp exchange, so time the server spends between
+// receiving and answering the request does not count as offset
+// +ve offset means local clock is running behind server clock
+export const fetchTimeSample = async (serverUrl) => {
+  const originate = Date.now();
+  const url = resolveUrl(serverUrl);
+  url.searchParams.set("originate", originate);
+  const response = await fetch(url, {
+    cache: "no-store",
+  });
+
+  if (!response.ok) {
+    throw new Error(`Time server responded with status ${response.status}`);
+  }
+
+  //
+  // expect json response in this format, all times in milliseconds past Unix epoch
+  //
+  // {
+  //   milliseconds: 1759640048519, datetime: "2025-10-05T04:54:08.519Z",
+  //   originate: 1759640048500, receive: 1759640048518, transmit: 1759640048519,
+  //   server: { synchronized: true, estimatedErrorMs: 1.234, ... }
+  // }
+  //
+
+  const json = await response.json();
+
+  const destination = Date.now();
+
+  // the server echoes our send time, reject anything that is not a reply to this request
+  if (json.originate !== originate) {
+    throw new Error("Time server response does not match request");
+  }
+
+  return { ...calculateOffset(json, destination), server: json.server };
+};
+
+// fetch the leap second table, which lives next to the time endpoint, e.g
+// /api/leap-seconds for /api/time
+export const fetchLeapSeconds = async (serverUrl) => {
+  const response = await fetch(new URL("leap-seconds", resolveUrl(serverUrl)));
+
+  if (!response.ok) {
+    throw new Error(`Time server responded with status ${response.status}`);
+  }
+
+  return response.json();
+};
+
+// send an anonymous report of how far out the local clock was, to the report
+// endpoint next to the time endpoint, e.g /api/report for /api/time
+// `family` is the browser family, e.g "firefox", see lib/reports.js
+export const sendReport = async (serverUrl, { offset, errorBound, family }) => {
+  const response = await fetch(new URL("report", resolveUrl(serverUrl)), {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ offset, errorBound, family }),
+  });
+
+  if (!response.ok) {
+    throw new Error(`Time server responded with status ${response.status}`);
+  }
+};
+
+// open a persistent WebSocket channel for time sync, resolves once connected
+// each sample() sends a ping and measures the offset from the pong, the same
+// way as fetchTimeSample() but without the HTTP overhead
+// the channel lives next to the time endpoint, e.g /api/ws for /api/time
+export const openTimeSocket = (serverUrl, timeout = 3000) =>
+  new Promise((resolve, reject) => {
+    if (typeof WebSocket === "undefined") {
+      reject(new Error("WebSocket is not available"));
+      return;
+    }
+
+    const url = new URL("ws", resolveUrl(serverUrl));
+    url.search = "";
+    url.protocol = url.protocol === "https:" ? "wss:" : "ws:";
+
+    const socket = new WebSocket(url);
+    const pending = new Map();
+
+    const channel = {
+      onNotice: null,
+      isOpen: () => socket.readyState === WebSocket.OPEN,
+      close: () => socket.close(),
+      sample: () =>
+        new Promise((resolve, reject) => {
+          const originate = Date.now();
+          const timer = setTimeout(() => {
+            pending.delete(originate);
+            reject(new Error("Time server did not answer ping"));
+          }, timeout);
+          pending.set(originate, { resolve, reject, timer });
+          socket.send(JSON.stringify({ type: "ping", originate }));
+        }),
+    };
+
+    const openTimer = setTimeout(() => {
+      socket.close();
+      reject(new Error("Timed out connecting to time server"));
+    }, timeout);
+
+    socket.addEventListener("open", () => {
+      clearTimeout(openTimer);
+      resolve(channel);
+    });
+
+    socket.addEventListener("message", (event) => {
+      const destination = Date.now();
+      const message = JSON.parse(event.data);
+
+      if (message.type === "pong") {
+        const request = pending.get(message.originate);
+        if (!request) return;
+        pending.delete(message.originate);
+        clearTimeout(request.timer);
+        request.resolve({
+          ...calculateOffset(message, destination),
+          server: message.server,
+        });
+      } else if (message.type === "notice" && channel.onNotice) {
+        channel.onNotice(message);
+      }
+    });
+
+    socket.addEventListener("close", () => {
+      clearTimeout(openTimer);
+      reject(new Error("Could not connect to time server"));
+      for (const request of pending.values()) {
+        clearTimeout(request.timer);
+        request.reject(new Error("Time server connection closed"));
+      }
+      pending.clear();
+    });
+  });
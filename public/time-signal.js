@@ -0,0 +1,148 @@
+// Audible time signal, pips at the start of each second on the corrected
+// clock, for setting watches without looking at the screen
+//
+// Patterns:
+//   "second"  a short tick every second, WWV style, longer at the minute
+//   "five"    a pip every 5 seconds, like the highlight, longer at the minute
+//   "minute"  the BBC six pips, five short pips then a long one at the minute
+//
+// Each pip is scheduled on the AudioContext clock a little ahead of time. The
+// corrected time is mapped to the moment the audio hardware plays a sample,
+// from getOutputTimestamp() where the browser has it, or from the context's
+// reported output latency, so a pip starts within a few milliseconds of the
+// second. The mapping is worked out again for every pip, and follows the
+// offset as it is resynced and corrected for drift.
+
+export const PATTERNS = ["second", "five", "minute"];
+
+// 1 kHz, as the BBC pips and WWV ticks
+const frequency = 1000;
+const volume = 0.3;
+
+// ramp the tone in and out, a hard edge clicks
+const ramp = 0.002;
+
+// how often to schedule pips, and how far ahead, browsers throttle timers in
+// background tabs to once a second
+const scheduleInterval = 250;
+const lookAhead = 1500;
+
+// the pip starting at the second `seconds` past the epoch, as its length in
+// seconds, or null for none
+const pipLength = (pattern, seconds) => {
+  const second = ((seconds % 60) + 60) % 60;
+  switch (pattern) {
+    case "second":
+      return second === 0 ? 0.5 : 0.03;
+    case "five":
+      return second === 0 ? 0.5 : second % 5 === 0 ? 0.1 : null;
+    case "minute":
+      return second === 0 ? 0.5 : second >= 55 ? 0.1 : null;
+    default:
+      return null;
+  }
+};
+
+// `sync` is the sync engine, see createSync(), pips only play once it has
+// synced, they start muted until setMuted(false) from a click or key press,
+// which browsers require before playing sound
+export const createTimeSignal = (sync, { pattern = "five" } = {}) => {
+  let context = null;
+  let muted = true;
+  let timer = null;
+
+  // pips scheduled but not played yet, silenced when muted
+  const pending = new Set();
+
+  // the last second a pip was scheduled for
+  let scheduledUntil = null;
+
+  // the AudioContext time at which the audio output plays what is scheduled,
+  // for a corrected time in milliseconds past the epoch
+  const contextTimeAt = (time) => {
+    const now = performance.now();
+    const at = now + (time - sync.now());
+    if (typeof context.getOutputTimestamp === "function") {
+      const { contextTime, performanceTime } = context.getOutputTimestamp();
+      // zero until the context has started playing
+      if (performanceTime > 0) {
+        return contextTime + (at - performanceTime) / 1000;
+      }
+    }
+    const latency = context.outputLatency || context.baseLatency || 0;
+    return context.currentTime + (at - now) / 1000 - latency;
+  };
+
+  const playPip = (start, length) => {
+    const oscillator = context.createOscillator();
+    const gain = context.createGain();
+    oscillator.frequency.value = frequency;
+    gain.gain.setValueAtTime(0, start);
+    gain.gain.linearRampToValueAtTime(volume, start + ramp);
+    gain.gain.setValueAtTime(volume, start + length - ramp);
+    gain.gain.linearRampToValueAtTime(0, start + length);
+    oscillator.connect(gain).connect(context.destination);
+    oscillator.start(start);
+    oscillator.stop(start + length);
+    pending.add(gain);
+    oscillator.onended = () => pending.delete(gain);
+  };
+
+  const schedule = () => {
+    if (sync.lastSyncTime === null || context.state !== "running") return;
+
+    const now = sync.now();
+    const first = Math.max(
+      Math.ceil(now / 1000),
+      scheduledUntil === null ? -Infinity : scheduledUntil + 1
+    );
+    const last = Math.floor((now + lookAhead) / 1000);
+
+    for (let seconds = first; seconds <= last; seconds++) {
+      scheduledUntil = seconds;
+      const length = pipLength(pattern, seconds);
+      if (length === null) continue;
+      const start = contextTimeAt(seconds * 1000);
+      // too late to play on time, skip it rather than play it late
+      if (start < context.currentTime) continue;
+      playPip(start, length);
+    }
+  };
+
+  return {
+    get muted() {
+      return muted;
+    },
+
+    get pattern() {
+      return pattern;
+    },
+
+    // pips already scheduled, up to a second or so ahead, keep the old pattern
+    setPattern: (name) => {
+      if (PATTERNS.includes(name)) pattern = name;
+    },
+
+    // unmuting creates or resumes the AudioContext, so has to be called from
+    // a click or key press handler
+    setMuted: async (value) => {
+      muted = value;
+      if (muted) {
+        clearInterval(timer);
+        timer = null;
+        scheduledUntil = null;
+        for (const gain of pending) gain.disconnect();
+        pending.clear();
+        if (context) await context.suspend();
+        return;
+      }
+
+      if (!context) context = new AudioContext();
+      await context.resume();
+      if (!muted && timer === null) {
+        schedule();
+        timer = setInterval(schedule, scheduleInterval);
+      }
+    },
+  };
+};
@@ -0,0 +1,87 @@
+// Time zone helpers on the browser's own IANA time zone data, from Intl, the
+// same conversions as lib/timezone.js does on the server
+
+const formatters = new Map();
+
+// cached formatters, creating them is far slower than using them
+export const getFormatter = (timeZone, options = {}) => {
+  const key = `${timeZone}|${JSON.stringify(options)}`;
+  if (!formatters.has(key)) {
+    formatters.set(
+      key,
+      new Intl.DateTimeFormat("en-GB", { timeZone, ...options })
+    );
+  }
+  return formatters.get(key);
+};
+
+// canonical name of a time zone, or null if the browser doesn't know it
+export const resolveTimeZone = (timeZone) => {
+  if (typeof timeZone !== "string" || timeZone === "") return null;
+  try {
+    return getFormatter(timeZone).resolvedOptions().timeZone;
+  } catch {
+    return null;
+  }
+};
+
+// the name to keep for a zone, as given unless only its case is wrong, ICU
+// resolves some zones to older names, e.g Asia/Kolkata to Asia/Calcutta
+export const getZoneName = (name) => {
+  const timeZone = resolveTimeZone(name);
+  if (!timeZone) return null;
+  return timeZone.toLowerCase() === name.toLowerCase() ? timeZone : name;
+};
+
+// the wall clock time in a zone at `ms`, as numbers
+export const getParts = (timeZone, ms) => {
+  const parts = {};
+  const formatter = getFormatter(timeZone, {
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  });
+  for (const { type, value } of formatter.formatToParts(ms)) {
+    parts[type] = Number(value);
+  }
+  return parts;
+};
+
+// offset from UTC in minutes, +ve east of Greenwich
+export const getOffsetMinutes = (timeZone, ms) => {
+  const p = getParts(timeZone, ms);
+  const wallTime = Date.UTC(
+    p.year,
+    p.month - 1,
+    p.day,
+    p.hour,
+    p.minute,
+    p.second
+  );
+  return Math.round((wallTime - Math.floor(ms / 1000) * 1000) / 60000);
+};
+
+// e.g "UTC+5:30", "UTC−3", "UTC"
+export const formatOffset = (minutes) => {
+  if (minutes === 0) return "UTC";
+  const abs = Math.abs(minutes);
+  const mins = abs % 60 ? `:${String(abs % 60).padStart(2, "0")}` : "";
+  return `UTC${minutes < 0 ? "−" : "+"}${Math.floor(abs / 60)}${mins}`;
+};
+
+// standard time is the lower of the winter and summer offsets, either
+// hemisphere, see lib/timezone.js
+export const isDaylightTime = (timeZone, ms, offset) => {
+  const year = new Date(ms).getUTCFullYear();
+  return (
+    offset >
+    Math.min(
+      getOffsetMinutes(timeZone, Date.UTC(year, 0, 1)),
+      getOffsetMinutes(timeZone, Date.UTC(year, 6, 1))
+    )
+  );
+};
@@ -0,0 +1,235 @@
+// World clock, a grid of labelled time zones on the corrected time
+//
+// Each zone shows its time and date, its UTC offset worked out for the
+// current moment so it follows daylight saving changes, whether it is day or
+// night there, and optionally an analogue face.
+//
+// The zones are kept in the `zones` query parameter, so a link shares the
+// same grid, and in localStorage for the next visit, e.g
+//
+//   ?zones=Europe/London,America/New_York:New York office,Asia/Tokyo
+//
+// Each zone is an IANA name, with an optional label after a colon. Time zone
+// data is the browser's own, from Intl.
+
+import { escapeHTML } from "./html.js";
+import {
+  formatOffset,
+  getFormatter,
+  getOffsetMinutes,
+  getParts,
+  getZoneName,
+  isDaylightTime,
+} from "./time-zone.js";
+
+const storageKey = "realclock-zones";
+
+// daytime is 6 am to 6 pm on the zone's clock, close enough to tell who is
+// awake without working out sunrise for a place
+const dayStart = 6;
+const dayEnd = 18;
+
+const faceSize = 120;
+
+// every IANA zone the browser knows, for the picker
+export const getTimeZones = () => {
+  const zones =
+    typeof Intl.supportedValuesOf === "function"
+      ? Intl.supportedValuesOf("timeZone")
+      : [];
+  return zones.includes("UTC") ? zones : ["UTC", ...zones];
+};
+
+// "Europe/Isle_of_Man" is labelled "Isle of Man"
+const getDefaultLabel = (timeZone) =>
+  timeZone.split("/").pop().replace(/_/g, " ");
+
+// the zones in the `zones` query parameter or localStorage form, dropping
+// any the browser doesn't know
+export const parseZones = (text) => {
+  const zones = [];
+  for (const item of String(text || "").split(",")) {
+    const colon = item.indexOf(":");
+    // a "+" typed into the address bar, as in Etc/GMT+5, reads as a space
+    const name = (colon < 0 ? item : item.slice(0, colon))
+      .trim()
+      .replace(/ /g, "+");
+    const timeZone = getZoneName(name);
+    if (!timeZone) continue;
+    const label = colon < 0 ? "" : item.slice(colon + 1).trim();
+    zones.push({ timeZone, label: label || getDefaultLabel(timeZone) });
+  }
+  return zones;
+};
+
+// the opposite of parseZones(), labels can't have commas in them
+export const stringifyZones = (zones) =>
+  zones
+    .map(({ timeZone, label }) =>
+      label === getDefaultLabel(timeZone) ? timeZone : `${timeZone}:${label}`
+    )
+    .join(",");
+
+// the time, date, offset and day or night of a zone at `ms`
+const describeZone = (timeZone, ms) => {
+  const p = getParts(timeZone, ms);
+  const offset = getOffsetMinutes(timeZone, ms);
+  const pad = (n) => String(n).padStart(2, "0");
+  return {
+    time: `${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)}`,
+    date: getFormatter(timeZone, {
+      weekday: "short",
+      day: "numeric",
+      month: "short",
+    }).format(ms),
+    offset: `${formatOffset(offset)}${
+      isDaylightTime(timeZone, ms, offset) ? ", daylight time" : ""
+    }`,
+    day: p.hour >= dayStart && p.hour < dayEnd,
+  };
+};
+
+// the zones from the URL, or failing that from the last visit, a shared link
+// doesn't replace your own zones until you change them
+const loadZones = () => {
+  const param = new URLSearchParams(location.search).get("zones");
+  if (param !== null) return parseZones(param);
+  try {
+    return parseZones(localStorage.getItem(storageKey));
+  } catch {
+    return [];
+  }
+};
+
+// keep the zones in the URL without reloading, with the slashes, commas and
+// colons left readable
+const saveZones = (zones) => {
+  const text = stringifyZones(zones);
+  localStorage.setItem(storageKey, text);
+
+  const url = new URL(location.href);
+  if (text) url.searchParams.set("zones", text);
+  else url.searchParams.delete("zones");
+  url.search = url.search
+    .replace(/%2F/gi, "/")
+    .replace(/%2C/gi, ",")
+    .replace(/%3A/gi, ":");
+  history.replaceState(history.state, "", url.href);
+};
+
+// show the zones picked in `form` as a grid in `element`, on the time of
+// `sync`, see createSync(), `faces` is a checkbox turning on analogue faces
+export const createWorldClock = (sync, { element, form, faces = null }) => {
+  let zones = loadZones();
+  let timer = null;
+
+  const nameInput = form.elements.namedItem("zone");
+  const labelInput = form.elements.namedItem("label");
+
+  // the picker lists every zone the browser knows, any other name typed in
+  // is still checked with getZoneName()
+  const list = document.createElement("datalist");
+  list.id = `${form.id || "world-clock"}-zones`;
+  list.innerHTML = getTimeZones()
+    .map((zone) => `<option value="${escapeHTML(zone)}"></option>`)
+    .join("");
+  form.appendChild(list);
+  nameInput.setAttribute("list", list.id);
+
+  if (faces) {
+    faces.checked = localStorage.getItem(`${storageKey}-faces`) === "on";
+  }
+
+  const update = () => {
+    const now = sync.now();
+    for (const card of element.querySelectorAll("[data-zone]")) {
+      const zone = describeZone(card.dataset.zone, now);
+      card.querySelector(".zone-time").textContent = zone.time;
+      card.querySelector(".zone-date").textContent = zone.date;
+      card.querySelector(".zone-offset").textContent = zone.offset;
+      const indicator = card.querySelector(".zone-daylight");
+      indicator.textContent = zone.day ? "☀" : "☾";
+      indicator.title = zone.day ? "Day" : "Night";
+      card.classList.toggle("night", !zone.day);
+    }
+  };
+
+  // redraw on the next second boundary of the corrected time
+  const tick = () => {
+    update();
+    timer = setTimeout(tick, 1000 - (((sync.now() % 1000) + 1000) % 1000));
+  };
+
+  const render = () => {
+    element.innerHTML = zones
+      .map(
+        ({ timeZone, label }, i) =>
+          `<li class="zone" data-zone="${escapeHTML(
+            timeZone
+          )}"><div class="zone-label">${escapeHTML(
+            label
+          )} <span class="zone-daylight"></span></div>${
+            faces && faces.checked
+              ? `<analog-clock size="${faceSize}" timezone="${escapeHTML(
+                  timeZone
+                )}"></analog-clock>`
+              : ""
+          }<div class="zone-time"></div><div class="zone-date"></div><div class="zone-offset"></div><button type="button" data-remove="${i}" aria-label="Remove ${escapeHTML(
+            label
+          )}">×</button></li>`
+      )
+      .join("");
+
+    for (const face of element.querySelectorAll("analog-clock")) {
+      if (typeof face.setTimeSource === "function") {
+        face.setTimeSource(() => sync.now());
+      }
+    }
+
+    clearTimeout(timer);
+    if (zones.length > 0) tick();
+  };
+
+  form.addEventListener("submit", (event) => {
+    event.preventDefault();
+    const timeZone = getZoneName(nameInput.value.trim());
+    if (!timeZone) {
+      nameInput.setCustomValidity("Pick an IANA time zone, e.g Europe/London");
+      nameInput.reportValidity();
+      return;
+    }
+    const label = labelInput
+      ? labelInput.value.replace(/\s*,\s*/g, " ").trim()
+      : "";
+    zones = [...zones, { timeZone, label: label || getDefaultLabel(timeZone) }];
+    form.reset();
+    saveZones(zones);
+    render();
+  });
+
+  nameInput.addEventListener("input", () => nameInput.setCustomValidity(""));
+
+  element.addEventListener("click", (event) => {
+    const index = event.target.dataset && event.target.dataset.remove;
+    if (index === undefined) return;
+    zones = zones.filter((zone, i) => i !== Number(index));
+    saveZones(zones);
+    render();
+  });
+
+  if (faces) {
+    faces.addEventListener("change", () => {
+      localStorage.setItem(`${storageKey}-faces`, faces.checked ? "on" : "off");
+      render();
+    });
+  }
+
+  render();
+
+  return {
+    get zones() {
+      return zones;
+    },
+    update,
+  };
+};
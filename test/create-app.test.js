@@ -0,0 +1,192 @@
+// In-process tests of the HTTP app, built from a configuration as app.js
+// builds it, and listened on a random port
+//
+//   npm test
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const { loadConfig } = require("../lib/config");
+const { createApp } = require("../lib/create-app");
+
+const allowedOrigin = "https://allowed.example";
+const otherOrigin = "https://other.example";
+
+// collects what the app logs, instead of writing it out
+const createTestLog = () => {
+  const lines = [];
+  const logger = {};
+  for (const level of ["error", "warn", "info", "debug"]) {
+    logger[level] = (msg, fields) => lines.push({ level, msg, ...fields });
+  }
+  logger.close = (callback = () => {}) => callback();
+  return { lines, log: { app: logger, access: logger, sync: logger } };
+};
+
+// the app from `env`, listening on a random port
+const startApp = async (env, log = createTestLog().log) => {
+  const app = createApp(loadConfig({ env }), { log });
+  const server = http.createServer(app);
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return {
+    app,
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    close: async () => {
+      await new Promise((resolve) => app.locals.realclock.close(resolve));
+      await new Promise((resolve) => server.close(resolve));
+    },
+  };
+};
+
+let app;
+let baseUrl;
+let lines;
+let close;
+
+before(async () => {
+  const testLog = createTestLog();
+  lines = testLog.lines;
+  ({ app, baseUrl, close } = await startApp(
+    {
+      ALLOWED_ORIGINS: allowedOrigin,
+      RATE_LIMIT_PER_IP_MAX: "3",
+      LOG_FORMAT: "off",
+    },
+    testLog.log
+  ));
+});
+
+after(() => close());
+
+test("CORS allows listed origins and no others", async () => {
+  const allowed = await fetch(`${baseUrl}/healthz`, {
+    headers: { Origin: allowedOrigin },
+  });
+  assert.equal(allowed.status, 200);
+  assert.equal(
+    allowed.headers.get("Access-Control-Allow-Origin"),
+    allowedOrigin
+  );
+
+  const other = await fetch(`${baseUrl}/healthz`, {
+    headers: { Origin: otherOrigin },
+  });
+  assert.equal(other.headers.get("Access-Control-Allow-Origin"), null);
+});
+
+test("CORS preflight is answered for listed origins only", async () => {
+  const preflight = (origin) =>
+    fetch(`${baseUrl}/api/time`, {
+      method: "OPTIONS",
+      headers: { Origin: origin, "Access-Control-Request-Method": "GET" },
+    });
+
+  const allowed = await preflight(allowedOrigin);
+  assert.equal(allowed.status, 204);
+  assert.equal(
+    allowed.headers.get("Access-Control-Allow-Origin"),
+    allowedOrigin
+  );
+  assert.match(allowed.headers.get("Access-Control-Allow-Methods"), /GET/);
+
+  const other = await preflight(otherOrigin);
+  assert.equal(other.headers.get("Access-Control-Allow-Origin"), null);
+});
+
+test("unknown API endpoints get a JSON 404", async () => {
+  const response = await fetch(`${baseUrl}/api/nothing-here`);
+  assert.equal(response.status, 404);
+  assert.deepEqual(await response.json(), {
+    error: "Not Found",
+    message: "The requested API endpoint could not be found.",
+  });
+});
+
+test("an unknown tz is a 400 on the time endpoint and tick stream", async (t) => {
+  // an app of its own, as these count against the per IP limit
+  const tzApp = await startApp({ LOG_FORMAT: "off" });
+  t.after(tzApp.close);
+
+  for (const endpoint of ["time", "stream"]) {
+    const response = await fetch(
+      `${tzApp.baseUrl}/api/${endpoint}?tz=Mars/Olympus`
+    );
+    assert.equal(response.status, 400);
+    assert.deepEqual(await response.json(), {
+      error: "Bad Request",
+      message: "The tz parameter must be an IANA time zone, e.g Europe/Berlin.",
+    });
+  }
+});
+
+test("requests over the per IP limit get a 429 with Retry-After", async () => {
+  const statuses = [];
+  let limited;
+  for (let i = 0; i < 4; i++) {
+    const response = await fetch(`${baseUrl}/api/time`);
+    statuses.push(response.status);
+    if (response.status === 429) limited = response;
+    else await response.arrayBuffer();
+  }
+  assert.deepEqual(statuses, [200, 200, 200, 429]);
+  assert.match(limited.headers.get("Retry-After"), /^\d+$/);
+  assert.deepEqual(await limited.json(), {
+    error: "Too Many Requests",
+    message: "You have exceeded the request limit. Please try again later.",
+    limit: "per_ip",
+  });
+
+  // stats have their own count, and their own 429
+  const stats = [];
+  for (let i = 0; i < 4; i++) {
+    const response = await fetch(`${baseUrl}/api/stats`);
+    stats.push(response.status);
+    await response.arrayBuffer();
+  }
+  assert.deepEqual(stats, [200, 200, 200, 429]);
+});
+
+test("unexpected errors get a JSON 500 and are logged", async (t) => {
+  const { metrics } = app.locals.realclock;
+  t.mock.method(metrics, "metrics", async () => {
+    throw new Error("Broken metrics");
+  });
+
+  const response = await fetch(`${baseUrl}/metrics`);
+  assert.equal(response.status, 500);
+  assert.deepEqual(await response.json(), {
+    error: "Internal Server Error",
+    message: "An unexpected error occurred. Please try again later.",
+  });
+
+  const logged = lines.find((line) => line.msg === "Unexpected error");
+  assert.equal(logged.level, "error");
+  assert.equal(logged.path, "/metrics");
+  assert.equal(logged.error.message, "Broken metrics");
+});
+
+test("API keys in the query string are redacted in morgan logs", async (t) => {
+  const morganApp = await startApp({ LOG_FORMAT: ":method :url :status" });
+  t.after(morganApp.close);
+
+  // morgan writes to stdout, which the test runner also uses
+  const written = [];
+  const write = process.stdout.write;
+  t.mock.method(process.stdout, "write", function (chunk, ...rest) {
+    if (String(chunk).startsWith("GET /healthz")) {
+      written.push(String(chunk));
+      return true;
+    }
+    return write.call(this, chunk, ...rest);
+  });
+
+  const response = await fetch(
+    `${morganApp.baseUrl}/healthz?api_key=secret-key&format=json`
+  );
+  await response.arrayBuffer();
+  await new Promise((resolve) => setTimeout(resolve, 50));
+
+  assert.deepEqual(written, [
+    "GET /healthz?api_key=[redacted]&format=json 200\n",
+  ]);
+});
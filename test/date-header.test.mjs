@@ -0,0 +1,26 @@
+// Tests of the sync engine's Date header fallback, public/sync/date-header.mjs
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import { measureDateHeaderOffset } from "../public/sync/date-header.mjs";
+
+test("the offset is estimated from Date headers", async (t) => {
+  // Node sets the Date header on every response
+  const server = http.createServer((req, res) => res.end());
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  t.after(() => new Promise((resolve) => server.close(resolve)));
+
+  const estimate = await measureDateHeaderOffset(
+    `http://127.0.0.1:${server.address().port}/`,
+    { targetErrorBound: 1000 }
+  );
+
+  // the header only counts seconds, the same clock is within the bound
+  assert.ok(Math.abs(estimate.offset) <= estimate.errorBound);
+  assert.ok(estimate.errorBound <= 1000);
+  assert.ok(estimate.samples.length > 0);
+  for (const sample of estimate.samples) {
+    assert.equal(sample.method, "date-header");
+  }
+});
@@ -0,0 +1,95 @@
+// Tests of the sync engine's drift estimate, public/sync/drift.mjs, and of
+// starting it over when the local clock jumps
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import { fitDrift } from "../public/sync/drift.mjs";
+import { createSync } from "../public/sync/index.mjs";
+
+const minutes = (n) => n * 60 * 1000;
+
+// syncs every `interval` over `span`, offsets growing at `ppm`
+const points = ({ ppm, span = minutes(10), interval = minutes(2.5) }) => {
+  const start = Date.UTC(2026, 9, 19);
+  const result = [];
+  for (let t = 0; t <= span; t += interval) {
+    result.push({
+      time: start + t,
+      offset: 50 + ppm * 1e-6 * t,
+      errorBound: 2,
+    });
+  }
+  return result;
+};
+
+test("a clock running fast has a falling offset, and -ve drift", () => {
+  const drift = fitDrift(points({ ppm: -40 }));
+  assert.ok(Math.abs(drift.ppm - -40) < 1e-6);
+  const last = points({ ppm: -40 }).pop();
+  assert.ok(Math.abs(drift.predict(last.time) - last.offset) < 1e-6);
+});
+
+test("a clock running slow has a rising offset, and +ve drift", () => {
+  const drift = fitDrift(points({ ppm: 25 }));
+  assert.ok(Math.abs(drift.ppm - 25) < 1e-6);
+});
+
+test("no drift is given from too few syncs or too short a span", () => {
+  assert.equal(fitDrift(points({ ppm: 25, span: minutes(4.5) })), null);
+  assert.equal(fitDrift(points({ ppm: 25 }).slice(0, 2)), null);
+  assert.equal(fitDrift([]), null);
+});
+
+test("drift beyond what an oscillator could do is not believed", () => {
+  assert.ok(fitDrift(points({ ppm: 450 })));
+  assert.equal(fitDrift(points({ ppm: 2000 })), null);
+  assert.equal(fitDrift(points({ ppm: -2000 })), null);
+});
+
+test("syncs from before a clock jump are not used for drift", async (t) => {
+  // the local clock moves on by `advance` with the monotonic clock, and is
+  // stepped by `step` without it, the server gains 100 ppm on it
+  const realNow = Date.now;
+  const realPerformanceNow = performance.now.bind(performance);
+  let advance = 0;
+  let step = 0;
+  t.mock.method(Date, "now", () => realNow() + advance + step);
+  t.mock.method(performance, "now", () => realPerformanceNow() + advance);
+
+  const server = http.createServer((req, res) => {
+    const now = Date.now() + advance * 1e-4;
+    const originate = Number(
+      new URL(req.url, "http://localhost").searchParams.get("originate")
+    );
+    res.setHeader("Content-Type", "application/json");
+    res.end(JSON.stringify({ originate, receive: now, transmit: now }));
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  t.after(() => new Promise((resolve) => server.close(resolve)));
+
+  const sync = createSync({
+    url: `http://127.0.0.1:${server.address().port}/api/time`,
+  });
+  t.after(() => sync.stop());
+
+  await sync.start();
+  advance += minutes(3);
+  await sync.sync();
+  advance += minutes(3);
+  await sync.sync();
+  assert.ok(sync.drift > 50 && sync.drift < 150, `drift ${sync.drift}`);
+
+  // checked once a second, then synced again straight away
+  const jumped = new Promise((resolve) => sync.on("jump", resolve));
+  step += minutes(10);
+  assert.ok(Math.abs((await jumped).jump - minutes(10)) < 100);
+  await sync.sync();
+  assert.equal(sync.drift, null);
+
+  // two syncs over six minutes are too few for a drift, with the three from
+  // before the jump they would be plenty
+  advance += minutes(6);
+  await sync.sync();
+  assert.equal(sync.drift, null);
+});
@@ -0,0 +1,93 @@
+// Tests of the sync engine's clock filter, public/sync/filter.mjs
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { calculateOffset, filterSamples } from "../public/sync/filter.mjs";
+
+const accepted = (estimate) =>
+  estimate.samples.filter((s) => s.accepted).map((s) => s.offset);
+
+test("the on-wire offset and delay assume a symmetric path", () => {
+  // sent at 1000 local, 1000 ms later on the server, 10 ms each way
+  assert.deepEqual(
+    calculateOffset({ originate: 1000, receive: 2010, transmit: 2012 }, 1022),
+    { offset: 1000, delay: 20 }
+  );
+});
+
+test("samples with a slow round trip are rejected", () => {
+  const estimate = filterSamples([
+    { offset: 100, delay: 10 },
+    { offset: 101, delay: 10 },
+    { offset: 99, delay: 10 },
+    { offset: 100, delay: 10 },
+    { offset: 180, delay: 200 },
+  ]);
+  assert.equal(estimate.samples[4].accepted, false);
+  assert.equal(estimate.delay, 10);
+  assert.ok(Math.abs(estimate.offset - 100) <= 1);
+});
+
+test("a quick sample far from the others is rejected", () => {
+  const estimate = filterSamples([
+    { offset: 100, delay: 10 },
+    { offset: 101, delay: 10 },
+    { offset: 99, delay: 10 },
+    { offset: 100, delay: 10 },
+    { offset: 160, delay: 8 },
+  ]);
+  assert.equal(estimate.samples[4].accepted, false);
+  assert.deepEqual(accepted(estimate), [100, 101]);
+});
+
+test("samples are weighted by their delay", () => {
+  const estimate = filterSamples([
+    { offset: 100, delay: 2 },
+    { offset: 102, delay: 6 },
+    { offset: 100, delay: 50 },
+    { offset: 100, delay: 50 },
+  ]);
+  assert.deepEqual(accepted(estimate), [100, 102]);
+
+  // weights of 1 / (delay + 1 ms)², the quicker sample counts for more
+  const weights = [1 / 3 ** 2, 1 / 7 ** 2];
+  const expected =
+    (100 * weights[0] + 102 * weights[1]) / (weights[0] + weights[1]);
+  assert.ok(Math.abs(estimate.offset - expected) < 1e-9);
+  assert.ok(estimate.offset < 101);
+});
+
+test("the error bound is where the accepted samples agree", () => {
+  const estimate = filterSamples([
+    { offset: 100, delay: 2 },
+    { offset: 102, delay: 6 },
+    { offset: 100, delay: 50 },
+    { offset: 100, delay: 50 },
+  ]);
+
+  // 100 ± 2 and 102 ± 4, each half the delay plus a millisecond, overlap
+  // from 98 to 102
+  assert.ok(Math.abs(estimate.errorBound - (estimate.offset - 98)) < 1e-9);
+  assert.ok(estimate.offset - estimate.errorBound >= 98 - 1e-9);
+  assert.ok(estimate.offset + estimate.errorBound >= 102 - 1e-9);
+});
+
+test("samples that don't agree fall back to the delay and jitter", () => {
+  const estimate = filterSamples([
+    { offset: 100, delay: 2 },
+    { offset: 110, delay: 2 },
+    { offset: 100, delay: 50 },
+    { offset: 100, delay: 50 },
+  ]);
+
+  // 100 ± 2 and 110 ± 2 don't overlap
+  assert.deepEqual(accepted(estimate), [100, 110]);
+  assert.equal(estimate.offset, 105);
+  assert.equal(estimate.jitter, 5);
+  assert.equal(estimate.errorBound, 2 / 2 + 5 + 1);
+});
+
+test("no usable samples give no estimate", () => {
+  assert.equal(filterSamples([]), null);
+  assert.equal(filterSamples([{ time: 0, error: "timed out" }]), null);
+});
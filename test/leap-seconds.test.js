@@ -0,0 +1,68 @@
+// Tests of the leap second table, its expiry and time scale conversion
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  parseLeapSecondsList,
+  createLeapSecondTable,
+} = require("../lib/leap-seconds");
+
+const NTP_EPOCH_OFFSET = 2208988800;
+const expires = Date.UTC(2027, 5, 28);
+
+// the last two entries of the IERS list, times in NTP seconds
+const leapSecondsList = `#	File expires on 28 June 2027
+#@	${expires / 1000 + NTP_EPOCH_OFFSET}
+#
+3644697600	36	# 1 Jul 2015
+3692217600	37	# 1 Jan 2017
+`;
+
+test("the built-in table is current and flags when it expires", () => {
+  const table = createLeapSecondTable();
+  const builtinExpires = Date.parse(table.describe(0).expires);
+  assert.ok(builtinExpires > Date.now(), "the built-in table has expired");
+
+  const before = table.describe(builtinExpires - 1);
+  assert.equal(before.expired, false);
+  assert.equal(before.source, "builtin");
+  assert.equal(before.taiMinusUtc, 37);
+
+  const after = table.describe(builtinExpires);
+  assert.equal(after.expired, true);
+  assert.equal(after.taiMinusUtc, 37);
+  assert.equal(table.describeScale(builtinExpires, "tai").expired, true);
+});
+
+test("leap-seconds.list files are parsed with their expiry", () => {
+  const parsed = parseLeapSecondsList(leapSecondsList);
+  assert.deepEqual(parsed.entries, [
+    { time: Date.UTC(2015, 6, 1), taiMinusUtc: 36 },
+    { time: Date.UTC(2017, 0, 1), taiMinusUtc: 37 },
+  ]);
+  assert.equal(parsed.expires, expires);
+  assert.throws(() => parseLeapSecondsList("3692217600 37\n"), /expiry/);
+});
+
+test("a leap seconds file replaces the built-in table", (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "realclock-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, "leap-seconds.list");
+  fs.writeFileSync(file, leapSecondsList);
+
+  const table = createLeapSecondTable({ file });
+  const leap = Date.UTC(2017, 0, 1);
+  assert.equal(table.taiMinusUtc(leap - 1), 36);
+  assert.equal(table.taiMinusUtc(leap), 37);
+  assert.equal(table.pending(leap - 1).change, 1);
+  assert.equal(table.imminent(leap - 1).change, 1);
+  assert.equal(table.imminent(leap - 2 * 24 * 60 * 60 * 1000), null);
+  assert.equal(table.imminent(leap), null);
+  assert.equal(table.convert(leap, "gps"), leap + 18000);
+  assert.equal(table.describe(leap).source, "file");
+  assert.equal(table.describe(expires - 1).expired, false);
+  assert.equal(table.describe(expires).expired, true);
+});
@@ -0,0 +1,55 @@
+// Tests of the JSON logs, and what happens when a log file can't be written
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createLogger } = require("../lib/logger");
+
+const tmpdir = (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "realclock-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+};
+
+const closeLogger = (logger) => new Promise((resolve) => logger.close(resolve));
+
+test("lines are written to the log file as JSON", async (t) => {
+  const file = path.join(tmpdir(t), "app.log");
+  const logger = createLogger({ file });
+  logger.info("Server running", { port: 3007 });
+  logger.debug("Not logged at info");
+  await closeLogger(logger);
+
+  const lines = fs.readFileSync(file, "utf8").trim().split("\n");
+  assert.equal(lines.length, 1);
+  const line = JSON.parse(lines[0]);
+  assert.equal(line.level, "info");
+  assert.equal(line.log, "app");
+  assert.equal(line.msg, "Server running");
+  assert.equal(line.port, 3007);
+});
+
+test("a log file that can't be written falls back to the console", async (t) => {
+  // a directory where the file should be, so opening it fails
+  const file = path.join(tmpdir(t), "app.log");
+  fs.mkdirSync(file);
+
+  const stderr = [];
+  t.mock.method(process.stderr, "write", (text) => stderr.push(String(text)));
+  const logger = createLogger({ file });
+  logger.warn("Before the error is known");
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  logger.warn("Upstream unreachable");
+  logger.warn("Still unreachable");
+  await closeLogger(logger);
+
+  const reports = stderr.filter((text) => text.startsWith("Could not write"));
+  assert.equal(reports.length, 1);
+  assert.match(reports[0], /app\.log, logging to the console instead/);
+  const logged = stderr
+    .filter((text) => text.startsWith("{"))
+    .map((text) => JSON.parse(text).msg);
+  assert.deepEqual(logged, ["Upstream unreachable", "Still unreachable"]);
+});
@@ -0,0 +1,77 @@
+// Tests of the SNTP server, queried over UDP on a random port
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const dgram = require("dgram");
+const ntp = require("../lib/ntp");
+const { createNtpServer, configuredStatus } = require("../lib/ntp-server");
+
+const silentLogger = {
+  error: () => {},
+  warn: () => {},
+  info: () => {},
+  debug: () => {},
+};
+
+const startServer = async (t, options) => {
+  const server = createNtpServer({ log: silentLogger, ...options });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  t.after(() => new Promise((resolve) => server.close(resolve)));
+  return server.address().port;
+};
+
+// the raw reply to a request of `version`
+const request = (port, version) =>
+  new Promise((resolve, reject) => {
+    const socket = dgram.createSocket("udp4");
+    socket.on("error", reject);
+    socket.on("message", (msg) => {
+      socket.close();
+      resolve(ntp.parsePacket(msg));
+    });
+    socket.send(
+      ntp.buildPacket({ version, mode: ntp.MODE_CLIENT, transmitTime: 1 }),
+      port,
+      "127.0.0.1"
+    );
+  });
+
+test("without a source the server says it is unsynchronized", async (t) => {
+  const port = await startServer(t);
+  const before = Date.now();
+  const reply = await ntp.query("127.0.0.1", port);
+  const after = Date.now();
+
+  assert.equal(reply.stratum, 16);
+  assert.equal(reply.leap, ntp.LEAP_UNSYNCHRONIZED);
+  assert.equal(reply.refId, "INIT");
+  assert.equal(reply.referenceTime, null);
+  assert.ok(reply.delay >= 0 && reply.delay <= after - before);
+  assert.ok(Math.abs(reply.offset) <= after - before);
+});
+
+test("a configured stratum and reference ID are advertised", async (t) => {
+  const port = await startServer(t, {
+    status: () => configuredStatus({ stratum: 2, refId: "192.0.2.1" }),
+  });
+  const before = Date.now();
+  const reply = await ntp.query("127.0.0.1", port);
+  const after = Date.now();
+
+  assert.equal(reply.stratum, 2);
+  assert.equal(reply.leap, ntp.LEAP_NONE);
+  assert.equal(reply.refId, "192.0.2.1");
+  assert.ok(reply.referenceTime >= before - 1 && reply.referenceTime <= after);
+  assert.ok(Math.abs(reply.offset) <= after - before);
+});
+
+test("replies are in server mode, with the request's version", async (t) => {
+  const port = await startServer(t);
+  for (const version of [3, 4]) {
+    const reply = await request(port, version);
+    assert.equal(reply.mode, ntp.MODE_SERVER);
+    assert.equal(reply.version, version);
+    assert.ok(reply.receiveTime <= reply.transmitTime);
+    assert.ok(reply.transmitTime <= Date.now());
+  }
+});
@@ -0,0 +1,20 @@
+// Tests of NTP packet encoding and decoding
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { MODE_SERVER, buildPacket, parsePacket } = require("../lib/ntp");
+
+const refIdOf = (stratum, refId) =>
+  parsePacket(buildPacket({ mode: MODE_SERVER, stratum, refId })).refId;
+
+test("reference IDs are decoded by stratum", () => {
+  assert.equal(refIdOf(1, "GPS"), "GPS");
+  assert.equal(refIdOf(2, "192.0.2.1"), "192.0.2.1");
+  assert.equal(refIdOf(3, "192.0.2.1"), "192.0.2.1");
+});
+
+test("kiss-o'-death and unsynchronized packets have ASCII codes", () => {
+  assert.equal(refIdOf(0, "RATE"), "RATE");
+  assert.equal(refIdOf(0, "DENY"), "DENY");
+  assert.equal(refIdOf(16, "INIT"), "INIT");
+});
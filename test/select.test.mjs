@@ -0,0 +1,90 @@
+// Tests of the sync engine's source selection, public/sync/select.mjs, and
+// of syncing with several servers through createSync()
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import { selectSources } from "../public/sync/select.mjs";
+import { createSync } from "../public/sync/index.mjs";
+
+const selected = (selection) =>
+  selection.sources.filter((s) => s.selected).map((s) => s.name);
+
+test("a server that disagrees with the other two is a falseticker", () => {
+  const selection = selectSources([
+    { name: "a", offset: 100, errorBound: 10 },
+    { name: "b", offset: 104, errorBound: 10 },
+    { name: "skewed", offset: 5000, errorBound: 10 },
+  ]);
+  assert.deepEqual(selected(selection), ["a", "b"]);
+
+  // where a and b agree, 94 to 110
+  assert.ok(selection.offset >= 94 && selection.offset <= 110);
+  assert.ok(selection.offset - selection.errorBound >= 94);
+  assert.ok(selection.offset + selection.errorBound <= 110);
+});
+
+test("two servers that disagree have no majority", () => {
+  assert.equal(
+    selectSources([
+      { name: "a", offset: 100, errorBound: 10 },
+      { name: "b", offset: 5000, errorBound: 10 },
+    ]),
+    null
+  );
+});
+
+test("an unreachable server still counts towards the majority", () => {
+  const agreeing = selectSources([
+    { name: "a", offset: 100, errorBound: 10 },
+    { name: "b", offset: 104, errorBound: 10 },
+    { name: "unreachable", offset: null, errorBound: null },
+  ]);
+  assert.deepEqual(selected(agreeing), ["a", "b"]);
+
+  // one of three reachable is not a majority of three
+  assert.equal(
+    selectSources([
+      { name: "a", offset: 100, errorBound: 10 },
+      { name: "unreachable", offset: null, errorBound: null },
+      { name: "also unreachable", offset: null, errorBound: null },
+    ]),
+    null
+  );
+  assert.equal(selectSources([]), null);
+});
+
+// a time endpoint whose clock is `skew` milliseconds ahead
+const startTimeServer = (t, skew) =>
+  new Promise((resolve) => {
+    const server = http.createServer((req, res) => {
+      const now = Date.now() + skew;
+      const originate = Number(
+        new URL(req.url, "http://localhost").searchParams.get("originate")
+      );
+      res.setHeader("Content-Type", "application/json");
+      res.end(JSON.stringify({ originate, receive: now, transmit: now }));
+    });
+    t.after(() => new Promise((done) => server.close(done)));
+    server.listen(0, "127.0.0.1", () =>
+      resolve(`http://127.0.0.1:${server.address().port}/api/time`)
+    );
+  });
+
+test("createSync() syncs with the servers that agree", async (t) => {
+  const urls = [
+    await startTimeServer(t, 0),
+    await startTimeServer(t, 5000),
+    await startTimeServer(t, 0),
+  ];
+  const sync = createSync({ url: urls });
+  t.after(() => sync.stop());
+  await sync.start();
+
+  assert.equal(sync.consensus, true);
+  assert.deepEqual(
+    sync.servers.map((s) => s.selected),
+    [true, false, true]
+  );
+  assert.ok(Math.abs(sync.offset) < 100);
+});
@@ -0,0 +1,152 @@
+// Tests of the WebSocket time sync channel's per IP connection limit, behind
+// a trusted proxy, and of the notices it pushes
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const WebSocket = require("ws");
+const { loadConfig } = require("../lib/config");
+const { createApp } = require("../lib/create-app");
+
+const silentLogger = {
+  error: () => {},
+  warn: () => {},
+  info: () => {},
+  debug: () => {},
+  close: (callback = () => {}) => callback(),
+};
+
+let app;
+let server;
+let wsUrl;
+
+before(async () => {
+  const config = loadConfig({
+    env: {
+      TRUST_PROXY: "loopback",
+      WS_MAX_CONNECTIONS_PER_IP: "2",
+      LOG_FORMAT: "off",
+    },
+  });
+  app = createApp(config, {
+    log: { app: silentLogger, access: silentLogger, sync: silentLogger },
+  });
+  server = http.createServer(app);
+  app.locals.realclock.attach(server);
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  wsUrl = `ws://127.0.0.1:${server.address().port}/api/ws`;
+});
+
+after(async () => {
+  await new Promise((resolve) => app.locals.realclock.close(resolve));
+  await new Promise((resolve) => server.close(resolve));
+});
+
+// resolves with the open socket, or the HTTP status it was turned away with
+const connect = (forwardedFor) =>
+  new Promise((resolve) => {
+    const socket = new WebSocket(wsUrl, {
+      headers: { "X-Forwarded-For": forwardedFor },
+    });
+    socket.on("open", () => resolve(socket));
+    socket.on("unexpected-response", (req, res) => {
+      res.resume();
+      resolve(res.statusCode);
+    });
+  });
+
+const closeSocket = (socket) =>
+  new Promise((resolve) => {
+    socket.on("close", resolve);
+    socket.close();
+  });
+
+test("connections are limited per client address", async () => {
+  // upgrades at the same time can't all get past the limit
+  const results = await Promise.all(
+    [1, 2, 3].map(() => connect("203.0.113.1"))
+  );
+  const open = results.filter((r) => r instanceof WebSocket);
+  assert.equal(open.length, 2);
+  assert.deepEqual(
+    results.filter((r) => !(r instanceof WebSocket)),
+    [429]
+  );
+
+  // other clients behind the same proxy have their own limit
+  const other = await connect("203.0.113.2");
+  assert.ok(other instanceof WebSocket);
+
+  // a closed connection frees its slot
+  await closeSocket(open[0]);
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  const again = await connect("203.0.113.1");
+  assert.ok(again instanceof WebSocket);
+
+  await Promise.all([open[1], other, again].map(closeSocket));
+});
+
+const NTP_EPOCH_OFFSET = 2208988800;
+const ntpSeconds = (ms) => ms / 1000 + NTP_EPOCH_OFFSET;
+
+test("clients are told of a leap second on the day it is due", async (t) => {
+  // a leap second at the end of today
+  const now = new Date();
+  const midnight = Date.UTC(
+    now.getUTCFullYear(),
+    now.getUTCMonth(),
+    now.getUTCDate() + 1
+  );
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "realclock-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, "leap-seconds.list");
+  fs.writeFileSync(
+    file,
+    `#@\t${ntpSeconds(midnight + 365 * 24 * 60 * 60 * 1000)}
+${ntpSeconds(Date.UTC(2017, 0, 1))}\t37
+${ntpSeconds(midnight)}\t38
+`
+  );
+
+  // the check runs every minute
+  t.mock.timers.enable({ apis: ["setInterval"] });
+  const leapApp = createApp(
+    loadConfig({ env: { LEAP_SECONDS_FILE: file, LOG_FORMAT: "off" } }),
+    { log: { app: silentLogger, access: silentLogger, sync: silentLogger } }
+  );
+  const leapServer = http.createServer(leapApp);
+  leapApp.locals.realclock.attach(leapServer);
+  await new Promise((resolve) => leapServer.listen(0, "127.0.0.1", resolve));
+  t.after(async () => {
+    await new Promise((resolve) => leapApp.locals.realclock.close(resolve));
+    await new Promise((resolve) => leapServer.close(resolve));
+  });
+
+  const socket = new WebSocket(
+    `ws://127.0.0.1:${leapServer.address().port}/api/ws`
+  );
+  await new Promise((resolve) => socket.on("open", resolve));
+  const notices = [];
+  socket.on("message", (data) => notices.push(JSON.parse(data)));
+
+  // announced once, not again at the next check
+  t.mock.timers.tick(60 * 1000);
+  t.mock.timers.tick(60 * 1000);
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  assert.deepEqual(notices, [
+    {
+      type: "notice",
+      event: "leap-second",
+      leapSecond: {
+        milliseconds: midnight,
+        datetime: new Date(midnight).toISOString(),
+        taiMinusUtc: 38,
+        change: 1,
+      },
+    },
+  ]);
+  await closeSocket(socket);
+});